@@ -4,13 +4,68 @@
  * 
  * Features:
  * - Constant Alpha VLE Generation
+ * - Non-Ideal VLE: Antoine + Raoult / Margules / Van Laar / Wilson / NRTL
+ * - T-x-y Diagram & Azeotrope Detection
  * - q-Line Analysis
- * - Minimum Reflux Calculation
+ * - Minimum Reflux Calculation (Feed & Tangent Pinch), Minimum Stages at Total Reflux
  * - Theoretical Stage Stepping
+ * - Murphree Tray Stepping (Pseudo-Equilibrium Curve), O'Connell Efficiency
  * - Feed Stage Location
- * - Mechanical Sizing (H, D)
+ * - Complex Columns: Multiple Feeds, Side Draws, Partial Condenser, Open Steam
+ * - Mechanical Sizing (H, D): Mixture Properties, Fair Flooding
+ * - Tray Hydraulics: Weeping, Entrainment, Downcomer Backup, Tray dP (Every Section)
+ * - Packed Columns: Random / Structured Library, GPDC Flooding, HETP Height, dP per Metre
+ * - Energy Balance: Condenser / Reboiler Duty, Steam & Cooling Water
+ * - Ponchon-Savarit Enthalpy-Concentration Method
+ * - Optimum Reflux: Total Annualized Cost Sweep over R/R_min
+ * - Batch Distillation: Rayleigh, Batch Rectification at Constant Reflux or Constant Distillate
  */
 
+// Binary VLE library: Antoine (log10 mmHg, C), light component first;
+// enthalpy: liquid Cp (kJ/kmol.K) and latent heat at the normal boiling point (kJ/kmol);
+// props: MW, liquid density near the boiling point (kg/m3), surface tension (mN/m)
+const VLE_SYSTEMS = {
+    "benzene_toluene": {
+        vle: 'raoult',
+        antoine: [{ A: 6.90565, B: 1211.033, C: 220.790 }, { A: 6.95464, B: 1344.800, C: 219.482 }],
+        activity: {},
+        enthalpy: { Cp: [136, 157], dHvap: [30720, 33180] },
+        props: { MW: [78.11, 92.14], rhoL: [815, 780], sigma: [21, 18] }
+    },
+    "ethanol_water": {
+        vle: 'vanlaar',
+        antoine: [{ A: 8.20417, B: 1642.89, C: 230.300 }, { A: 8.07131, B: 1730.63, C: 233.426 }],
+        activity: { A12: 1.6798, A21: 0.9227 },
+        enthalpy: { Cp: [112, 75.4], dHvap: [38560, 40660] },
+        props: { MW: [46.07, 18.02], rhoL: [740, 958], sigma: [17.5, 59] }
+    },
+    "methanol_water": {
+        vle: 'vanlaar',
+        antoine: [{ A: 8.08097, B: 1582.271, C: 239.726 }, { A: 8.07131, B: 1730.63, C: 233.426 }],
+        activity: { A12: 0.8041, A21: 0.5619 },
+        enthalpy: { Cp: [81, 75.4], dHvap: [35270, 40660] },
+        props: { MW: [32.04, 18.02], rhoL: [745, 958], sigma: [19, 59] }
+    },
+    "acetone_chloroform": {
+        vle: 'margules',
+        antoine: [{ A: 7.11714, B: 1210.595, C: 229.664 }, { A: 6.95465, B: 1170.966, C: 226.232 }],
+        activity: { A12: -0.8643, A21: -0.5899 },
+        enthalpy: { Cp: [126, 114], dHvap: [29100, 29240] },
+        props: { MW: [58.08, 119.38], rhoL: [745, 1410], sigma: [19, 21] }
+    }
+};
+
+// Packing library: packing factor Fp (1/m), specific area a (m2/m3), HETP (m), installed cost ($/m3)
+const PACKINGS = {
+    "raschig_ceramic_25": { name: 'Raschig Ring, ceramic 25 mm', type: 'random', Fp: 587, a: 190, HETP: 0.55, cost: 1200 },
+    "pall_metal_25": { name: 'Pall Ring, metal 25 mm', type: 'random', Fp: 184, a: 207, HETP: 0.45, cost: 2600 },
+    "pall_metal_50": { name: 'Pall Ring, metal 50 mm', type: 'random', Fp: 89, a: 102, HETP: 0.75, cost: 1800 },
+    "intalox_ceramic_25": { name: 'Intalox Saddle, ceramic 25 mm', type: 'random', Fp: 302, a: 256, HETP: 0.45, cost: 1500 },
+    "imtp_40": { name: 'IMTP #40, metal', type: 'random', Fp: 79, a: 151, HETP: 0.55, cost: 2200 },
+    "mellapak_250y": { name: 'Mellapak 250Y', type: 'structured', Fp: 66, a: 250, HETP: 0.40, cost: 5000 },
+    "mellapak_500y": { name: 'Mellapak 500Y', type: 'structured', Fp: 112, a: 500, HETP: 0.25, cost: 8000 }
+};
+
 class McCabeThiele {
     constructor(inputs) {
         // Unpack Inputs
@@ -20,15 +75,87 @@ class McCabeThiele {
         this.xB = inputs.xB;    // Bottoms Comp
         this.q = inputs.q;      // Thermal Condition
         this.R = inputs.R;      // Reflux Ratio
+
+        // Complex column: extra feeds [{F, z, q}], side draws [{S, x, phase: 'L'|'V'}]
+        // (x is the draw composition: liquid x_S or vapor y_S)
+        this.feeds = inputs.feeds || [];
+        this.sideDraws = inputs.sideDraws || [];
+        this.condenser = inputs.condenser || 'total'; // 'total' | 'partial' (counted as stage 1)
+        this.openSteam = !!inputs.openSteam;          // Live steam in place of a reboiler
         this.alpha = inputs.alpha || 2.5; // Relative Volatility
         this.pressure = inputs.pressure || 1.0; // atm
 
+        // VLE Model: 'alpha' (constant), 'raoult', 'margules', 'vanlaar', 'wilson', 'nrtl'
+        // antoine: [{A, B, C}, {A, B, C}] light then heavy, log10 P(mmHg) = A - B/(T(C) + C)
+        // activity: { A12, A21 } Margules / Van Laar, { L12, L21 } Wilson, { tau12, tau21, alpha } NRTL
+        this.vle = inputs.vle || 'alpha';
+        this.antoine = inputs.antoine;
+        this.activity = inputs.activity || {};
+
         // Mechanical Inputs
         this.tray_spacing = inputs.tray_spacing || 0.6; // m
+        this.flood_design = inputs.flood_design || 0.8;  // Fraction of flooding at design
+
+        // Internals: 'tray' (sieve trays) or 'packed' (PACKINGS key)
+        this.column_type = inputs.column_type || 'tray';
+        this.packing = inputs.packing || 'pall_metal_25';
+
+        // Pure-component properties (light, heavy): MW, liquid density (kg/m3), surface tension (mN/m)
+        this.props = Object.assign({
+            MW: [78.11, 92.14],
+            rhoL: [815, 780],
+            sigma: [21, 18]
+        }, inputs.props || {});
+
+        // Sieve tray layout: downcomer / hole area fractions, weir length / D, weir height and hole dia (mm)
+        this.trayGeometry = Object.assign({
+            Ad_frac: 0.12,
+            Ah_frac: 0.10,
+            lw_ratio: 0.77,
+            h_w: 50,
+            d_h: 5,
+            C0: 0.84,
+            turndown: 0.7
+        }, inputs.trayGeometry || {});
         this.efficiency = inputs.efficiency || 0.7; // 0-1
 
+        // Tray model: 'overall' (N_theo / efficiency), 'murphree' (E_MV per section),
+        // 'oconnell' (E_MV from O'Connell: E = 0.492 * (mu_L * alpha)^-0.245)
+        this.trayModel = inputs.tray_model || 'overall';
+        this.E_rect = inputs.E_rect || this.efficiency;
+        this.E_strip = inputs.E_strip || this.E_rect;
+        this.mu_L = inputs.mu_L || 0.3; // Liquid viscosity at average column T (cP)
+
+        // Enthalpy data (light, heavy): Cp (kJ/kmol.K), latent heat (kJ/kmol), normal boiling point (C,
+        // constant-alpha mode only); steam latent heat (kJ/kg) and cooling water rise (K) for utilities
+        this.enthalpy = Object.assign({
+            Cp: [140, 165],
+            dHvap: [30800, 33300],
+            Tb: [80.1, 110.6],
+            steamLatent: 2100,
+            cwRise: 10
+        }, inputs.enthalpy || {});
+
+        // Economics: prices ($/t steam, $/m3 cooling water), U (kW/m2.K), reboiler approach and
+        // cooling water inlet (C), installed cost per tray coefficient, payback (yr), sweep range
+        this.R_mode = inputs.R_mode || 'heuristic'; // 'heuristic' (1.3 R_min) | 'economic'
+        this.econ = Object.assign({
+            steamPrice: 20,
+            cwPrice: 0.05,
+            hours: 8000,
+            payback: 3,
+            U_C: 0.852,
+            U_R: 0.568,
+            dT_R: 30,
+            cwIn: 30,
+            trayCost: 1500,
+            ratioMin: 1.05,
+            ratioMax: 3.0,
+            nPts: 40
+        }, inputs.econ || {});
+
         // Computed State
-        this.points = { equilibrium: [], diagonal: [], op_rect: [], op_strip: [], q_line: [], stages: [] };
+        this.points = { equilibrium: [], diagonal: [], op_rect: [], op_strip: [], q_line: [], stages: [], txy: null, pseudo_eq: [], stages_actual: [], rmin_line: [] };
         this.results = {};
 
         this.init();
@@ -37,137 +164,422 @@ class McCabeThiele {
     init() {
         this.generateVLE();
         this.calcQLineIntersection();
+
+        // calcMinReflux trials R values on the operating lines; keep the user's R
+        const R_user = this.R;
         this.calcMinReflux();
+        this.R = R_user;
 
         // If R not provided (Design Mode), set heuristic
         if (!this.R) {
-            this.R = 1.3 * this.results.R_min;
+            // Infeasible split: fall back to near-total reflux so the diagram still draws
+            this.R = isFinite(this.results.R_min) ? 1.3 * this.results.R_min : 100;
         }
 
+        // Cost curve over R/R_min; in economic mode the design R moves to the optimum
+        this.optimizeReflux();
+        const opt = this.results.economics.optimum;
+        if (!R_user && this.R_mode === 'economic' && opt) this.R = opt.R;
+
+        this.evaluateAtR(this.R);
+        if (this.results.economics.curve) this.results.economics.design = this.costAtR();
+        this.ponchonSavarit();
+    }
+
+    // Everything downstream of the reflux ratio: lines, stepping, sizing, duties
+    evaluateAtR(R) {
+        this.R = R;
         this.calcOperatingLines();
         this.countStages();
+        if (this.trayModel !== 'overall') this.countMurphreeStages();
         this.sizeColumn();
+        this.calcEnergyBalance();
     }
 
     // --- 1. VLE GENERATION ---
     generateVLE() {
-        const pts = [];
-        for (let x = 0; x <= 1.01; x += 0.01) {
-            // y = alpha*x / (1 + (alpha-1)*x)
-            let y = (this.alpha * x) / (1 + (this.alpha - 1) * x);
-            pts.push({ x: x, y: y });
-        }
-        this.points.equilibrium = pts;
         this.points.diagonal = [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+
+        if (this.vle === 'alpha') {
+            const pts = [];
+            for (let x = 0; x <= 1.01; x += 0.01) {
+                // y = alpha*x / (1 + (alpha-1)*x)
+                let y = (this.alpha * x) / (1 + (this.alpha - 1) * x);
+                pts.push({ x: x, y: y });
+            }
+            this.points.equilibrium = pts;
+            return;
+        }
+
+        // Dense y*(x) table: stepping and pinch searches interpolate instead of re-solving bubble points
+        const nTab = 2000;
+        this.eqTable = [];
+        for (let i = 0; i <= nTab; i++) this.eqTable.push(this.bubblePoint(i / nTab).y);
+
+        // Modified Raoult: y_i * P = x_i * gamma_i * Psat_i(T), T at the bubble point
+        const eq = [], bubble = [], dew = [];
+        for (let i = 0; i <= 100; i++) {
+            const x = i / 100;
+            const bp = this.bubblePoint(x);
+            eq.push({ x: x, y: bp.y });
+            bubble.push({ x: x, y: bp.T });
+            dew.push({ x: bp.y, y: bp.T });
+        }
+        this.points.equilibrium = eq;
+        this.points.txy = { bubble: bubble, dew: dew.sort((a, b) => a.x - b.x) };
+
+        this.results.T_boil = [bubble[100].y, bubble[0].y]; // Light, Heavy (C)
+        this.findAzeotrope(eq);
+    }
+
+    // Antoine vapor pressure of component i (0 = light, 1 = heavy), mmHg at T (C)
+    Psat(i, T) {
+        const c = this.antoine[i];
+        return Math.pow(10, c.A - c.B / (T + c.C));
+    }
+
+    // Activity coefficients [gamma1, gamma2] at liquid mole fraction x of the light key
+    gammas(x) {
+        const x1 = x, x2 = 1 - x;
+        const p = this.activity;
+        let ln1 = 0, ln2 = 0;
+
+        if (this.vle === 'margules') {
+            // Two-parameter Margules
+            ln1 = x2 * x2 * (p.A12 + 2 * (p.A21 - p.A12) * x1);
+            ln2 = x1 * x1 * (p.A21 + 2 * (p.A12 - p.A21) * x2);
+        } else if (this.vle === 'vanlaar') {
+            const den = p.A12 * x1 + p.A21 * x2;
+            ln1 = p.A12 * Math.pow(p.A21 * x2 / den, 2);
+            ln2 = p.A21 * Math.pow(p.A12 * x1 / den, 2);
+        } else if (this.vle === 'wilson') {
+            const d1 = x1 + p.L12 * x2, d2 = x2 + p.L21 * x1;
+            const term = p.L12 / d1 - p.L21 / d2;
+            ln1 = -Math.log(d1) + x2 * term;
+            ln2 = -Math.log(d2) - x1 * term;
+        } else if (this.vle === 'nrtl') {
+            const G12 = Math.exp(-p.alpha * p.tau12), G21 = Math.exp(-p.alpha * p.tau21);
+            const d1 = x1 + x2 * G21, d2 = x2 + x1 * G12;
+            ln1 = x2 * x2 * (p.tau21 * Math.pow(G21 / d1, 2) + p.tau12 * G12 / (d2 * d2));
+            ln2 = x1 * x1 * (p.tau12 * Math.pow(G12 / d2, 2) + p.tau21 * G21 / (d1 * d1));
+        }
+
+        return [Math.exp(ln1), Math.exp(ln2)];
+    }
+
+    // Bubble point: find T where x1*g1*P1sat + x2*g2*P2sat = P (bisection on T)
+    bubblePoint(x) {
+        const P = this.pressure * 760; // mmHg
+        const [g1, g2] = this.gammas(x);
+        const Ptot = (T) => x * g1 * this.Psat(0, T) + (1 - x) * g2 * this.Psat(1, T);
+
+        let lo = -100, hi = 500;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (Ptot(mid) > P) hi = mid;
+            else lo = mid;
+        }
+        const T = (lo + hi) / 2;
+        return { T: T, y: x * g1 * this.Psat(0, T) / Ptot(T) };
+    }
+
+    // Equilibrium vapor composition y*(x)
+    eqY(x) {
+        if (this.vle === 'alpha') return (this.alpha * x) / (1 + (this.alpha - 1) * x);
+        if (!this.eqTable) return this.bubblePoint(x).y;
+
+        const n = this.eqTable.length - 1;
+        const u = Math.min(Math.max(x, 0), 1) * n;
+        const i = Math.min(Math.floor(u), n - 1);
+        return this.eqTable[i] + (u - i) * (this.eqTable[i + 1] - this.eqTable[i]);
+    }
+
+    // Equilibrium liquid composition x*(y)
+    eqX(y) {
+        if (this.vle === 'alpha') return y / (this.alpha - y * (this.alpha - 1));
+
+        let [lo, hi] = this.eqBranch();
+        for (let i = 0; i < 50; i++) {
+            const mid = (lo + hi) / 2;
+            if (this.eqY(mid) < y) lo = mid;
+            else hi = mid;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // x-range where y > x: below a minimum-boiling azeotrope, above a maximum-boiling one
+    eqBranch() {
+        const az = this.results.azeotrope;
+        if (!az) return [0, 1];
+        return az.type === 'minimum-boiling' ? [0, az.x] : [az.x, 1];
+    }
+
+    // Azeotrope: interior sign change of (y - x)
+    findAzeotrope(eq) {
+        for (let i = 1; i < eq.length - 1; i++) {
+            const f0 = eq[i].y - eq[i].x, f1 = eq[i + 1].y - eq[i + 1].x;
+            if (f0 * f1 < 0) {
+                // Refine by bisection
+                let lo = eq[i].x, hi = eq[i + 1].x;
+                for (let k = 0; k < 40; k++) {
+                    const mid = (lo + hi) / 2;
+                    if ((this.eqY(mid) - mid) * f0 > 0) lo = mid;
+                    else hi = mid;
+                }
+                const x = (lo + hi) / 2;
+                const T = this.bubblePoint(x).T;
+                const type = T < Math.min(...this.results.T_boil) ? 'minimum-boiling' : 'maximum-boiling';
+                this.results.azeotrope = { x: x, T: T, type: type };
+
+                if (type === 'minimum-boiling' && this.xD > x) {
+                    this.results.warning = `Minimum-boiling azeotrope at x = ${x.toFixed(3)} (${T.toFixed(1)} C): ` +
+                        `xD = ${this.xD} is not reachable by simple distillation.`;
+                } else if (type === 'maximum-boiling' && this.xB < x) {
+                    this.results.warning = `Maximum-boiling azeotrope at x = ${x.toFixed(3)} (${T.toFixed(1)} C): ` +
+                        `xB = ${this.xB} is not reachable by simple distillation.`;
+                }
+                return;
+            }
+        }
     }
 
     // --- 2. Q-LINE ANALYSIS ---
     calcQLineIntersection() {
         // Intersection of q-line and Diagonal is at (xF, xF)
-        // Slope = q / (q-1)
-        // We find intersection with Equilibrium Curve for R_min pinch? 
-        // No, Q-Line intersection with Equilibrium is needed for pinch if q != 1
-
-        // Find x_pinch where q-line intersects equilibrium
         // q-line eq: y = (q/q-1)x - (xF/q-1)
-        // VLE eq: y = ax / (1 + (a-1)x)
-        // Equate and solve quadratic for x_pinch (if q!=1)
+        //   q > 1  subcooled liquid:     slope > 1, meets the curve right of xF
+        //   q = 1  saturated liquid:     vertical at xF
+        //   0<q<1  partially vaporized:  slope < 0, left of xF
+        //   q = 0  saturated vapor:      horizontal at y = xF
+        //   q < 0  superheated vapor:    0 < slope < 1, left of xF
+        const q = this.q;
+        if (q > 1.001) this.results.feedCondition = 'Subcooled liquid';
+        else if (q >= 0.999) this.results.feedCondition = 'Saturated liquid';
+        else if (q > 0.001) this.results.feedCondition = 'Partially vaporized';
+        else if (q >= -0.001) this.results.feedCondition = 'Saturated vapor';
+        else this.results.feedCondition = 'Superheated vapor';
 
         let x_pinch, y_pinch;
 
-        if (Math.abs(this.q - 1) < 0.001) {
+        if (Math.abs(q - 1) < 0.001) {
             // q=1 (Saturated Liquid) -> Vertical Line at xF
             x_pinch = this.xF;
-            y_pinch = (this.alpha * x_pinch) / (1 + (this.alpha - 1) * x_pinch);
-        } else if (this.q === 0) {
-            // Saturated Vapor -> Horizontal at y=xF? No, slope 0.
-            // y = xF. Find x on VLE where y=xF
+            y_pinch = this.eqY(x_pinch);
+        } else if (Math.abs(q) < 0.001) {
+            // q=0 (Saturated Vapor) -> y = xF. Find x on VLE where y=xF
             y_pinch = this.xF;
-            x_pinch = y_pinch / (this.alpha - y_pinch * (this.alpha - 1));
+            x_pinch = this.eqX(y_pinch);
         } else {
-            // Quadratic Intersection
-            // A*x^2 + B*x + C = 0
-            // Derived from equating Y_qline = Y_vle
-            const m = this.q / (this.q - 1);
-            const c = -this.xF / (this.q - 1);
-            const A = m * (this.alpha - 1);
-            const B = m + c * (this.alpha - 1) - this.alpha;
-            const C = c;
-
-            // Quadratic formula
-            const det = Math.sqrt(B * B - 4 * A * C);
-            const x1 = (-B + det) / (2 * A);
-            const x2 = (-B - det) / (2 * A);
-
-            // Valid root is between 0 and 1 (usually the smaller one unless strange params)
-            x_pinch = (x1 >= 0 && x1 <= 1) ? x1 : x2;
+            // Bisect y*(x) - y_q(x) from xF towards x = 0 (q < 1) or x = 1 (q > 1)
+            const m = q / (q - 1);
+            const c = -this.xF / (q - 1);
+            const f = (x) => this.eqY(x) - (m * x + c);
+            let lo = this.xF, hi = q < 1 ? 0 : 1;
+            for (let i = 0; i < 60; i++) {
+                const mid = (lo + hi) / 2;
+                if (f(mid) * f(lo) > 0) lo = mid;
+                else hi = mid;
+            }
+            x_pinch = (lo + hi) / 2;
             y_pinch = m * x_pinch + c;
         }
 
         this.results.pinchPoint = { x: x_pinch, y: y_pinch };
 
-        // Q-Line visual points (extending a bit)
-        if (Math.abs(this.q - 1) < 0.001) {
-            this.points.q_line = [{ x: this.xF, y: this.xF }, { x: this.xF, y: y_pinch }];
-        } else {
-            this.points.q_line = [{ x: this.xF, y: this.xF }, { x: x_pinch, y: y_pinch }];
-        }
+        // Q-Line visual points: (xF, xF) to the equilibrium curve
+        this.points.q_line = [{ x: this.xF, y: this.xF }, { x: x_pinch, y: y_pinch }];
     }
 
     // --- 3. MINIMUM REFLUX ---
+    // R_min is the lowest R at which no operating line crosses the equilibrium curve.
+    // The point that touches at R_min is the controlling pinch: at a feed/draw intersection
+    // (feed pinch) or inside a section (tangent pinch, e.g. ethanol-water near xD).
     calcMinReflux() {
-        // R_min occurs when ROL passes through the Intersection of Q-line and Equilibrium Curve (Pinch Point)
-        // ROL passes through (xD, xD) and (x_pinch, y_pinch)
-        // Slope = R / (R+1) = (xD - y_pinch) / (xD - x_pinch)
+        // Equilibrium curve on a fine grid over the column span
+        const nGrid = 400;
+        const grid = [];
+        for (let i = 0; i <= nGrid; i++) {
+            const x = this.xB + (this.xD - this.xB) * i / nGrid;
+            grid.push({ x: x, y: this.eqY(x) });
+        }
+
+        const savedWarning = this.results.warning;
+
+        // Smallest gap y* - y_op over the grid and at each section boundary
+        const minGap = (R) => {
+            this.R = R;
+            this.calcOperatingLines();
+            if (this.sections.some(sec => !(sec.V > 0) || sec.L < 0)) return { gap: -1 };
+
+            let worst = { gap: Infinity };
+            const check = (x, y_eq) => {
+                const gap = y_eq - this.opLineY(x);
+                if (gap < worst.gap) worst = { gap: gap, x: x, y: y_eq };
+            };
+            grid.forEach(p => check(p.x, p.y));
+            this.boundaries.forEach(b => {
+                if (b.x > this.xB && b.x < this.xD) check(b.x, this.eqY(b.x));
+            });
+            return worst;
+        };
+
+        // Bracket, then bisect on R for gap = 0
+        let lo = 0, hi = 1;
+        while (minGap(hi).gap < 0 && hi < 1e4) hi *= 2;
+
+        if (minGap(hi).gap < 0) {
+            this.results.R_min = Infinity;
+            this.results.warning = savedWarning ||
+                "No reflux ratio separates xD from xB (azeotrope or pinch in the way).";
+        } else {
+            if (minGap(lo).gap >= 0) hi = lo;
+            for (let i = 0; i < 60 && hi - lo > 1e-10 * Math.max(1, hi); i++) {
+                const mid = (lo + hi) / 2;
+                if (minGap(mid).gap < 0) lo = mid;
+                else hi = mid;
+            }
+            this.results.R_min = hi;
 
-        const pp = this.results.pinchPoint;
-        const slope_min = (this.xD - pp.y) / (this.xD - pp.x);
+            // Locate and classify the pinch at R_min
+            const p = minGap(hi);
+            const atBoundary = this.boundaries.find(b => Math.abs(b.x - p.x) < 0.01 * (this.xD - this.xB));
+            const k = this.sectionIndex(p.x);
+            const sectionName = k === 0 ? 'rectifying' : (k === this.sections.length - 1 ? 'stripping' : 'intermediate');
+            this.results.pinch = atBoundary
+                ? { type: 'feed', x: atBoundary.x, y: atBoundary.y, at: atBoundary.stream.label }
+                : { type: 'tangent', x: p.x, y: this.opLineY(p.x), section: sectionName };
 
-        // slope = R / (R+1)  =>  R = slope / (1 - slope)
-        this.results.R_min = slope_min / (1 - slope_min);
+            // R_min rectifying line for the diagram
+            this.points.rmin_line = [{ x: this.xD, y: this.xD }, { x: this.results.pinch.x, y: this.results.pinch.y }];
+
+            this.results.warning = savedWarning;
+        }
 
-        // Safety: if xD < x_pinch (impossible for rectifier), handle error
-        if (this.results.R_min < 0) this.results.R_min = 0; // Should not happen in normal distillation
+        this.calcMinStages();
+    }
+
+    // Minimum stages at total reflux: step between the curve and the 45° line
+    calcMinStages() {
+        let y = this.xD, x_prev = this.xD;
+        let N = 0;
+        while (N < 200) {
+            const x = this.eqX(y);
+            if (x <= this.xB) {
+                N += (x_prev - this.xB) / (x_prev - x); // Fractional last stage
+                break;
+            }
+            if (x_prev - x < 1e-9) { N = Infinity; break; }
+            N++;
+            x_prev = x;
+            y = x; // Operating line is y = x
+        }
+        this.results.N_min = N;
+
+        if (this.vle === 'alpha') {
+            // Fenske: N_min = ln[(xD/(1-xD)) * ((1-xB)/xB)] / ln(alpha)
+            this.results.N_min_fenske = Math.log((this.xD / (1 - this.xD)) * ((1 - this.xB) / this.xB)) / Math.log(this.alpha);
+        }
     }
 
     // --- 4. OPERATING LINES ---
+    // Each section between external streams has V*y = L*x + W, W = net upward flow of light key.
+    // Going down past a stream:  feed      L += q*F,  V -= (1-q)*F,  W -= F*z
+    //                            liq. draw L -= S,                   W += S*x_S
+    //                            vap. draw            V += S,        W += S*y_S
+    // Top: L = R*D, V = (R+1)*D, W = D*xD. Bottom line hits (xB, xB), or (xB, 0) with open steam.
     calcOperatingLines() {
-        // Rectifying Line (ROL): y = (R/R+1)x + xD/(R+1)
-        // Intersects Q-line at new point (not pinch point unless R=Rmin)
-
-        // 1. Solve ROL intersection with Q-Line
         const R = this.R;
-        const slope_rol = R / (R + 1);
-        const intercept_rol = this.xD / (R + 1);
 
-        let x_int, y_int;
+        // External streams, ordered top-down by the composition where they enter/leave
+        const streams = [{ kind: 'feed', F: this.F, z: this.xF, q: this.q, label: 'Feed 1', main: true }]
+            .concat(this.feeds.map((f, i) => ({ kind: 'feed', F: f.F, z: f.z, q: f.q, label: `Feed ${i + 2}` })))
+            .concat(this.sideDraws.map((d, i) => ({
+                kind: 'draw', S: d.S, z: d.x, phase: d.phase,
+                label: `${d.phase === 'V' ? 'Vapor' : 'Liquid'} draw ${i + 1}`
+            })))
+            .sort((a, b) => b.z - a.z);
+        this.streams = streams;
+
+        // Overall balances for D (and B, open steam)
+        let sumF = 0, sumFz = 0, sumS = 0, sumSx = 0, vaporLoss = 0;
+        streams.forEach(s => {
+            if (s.kind === 'feed') {
+                sumF += s.F; sumFz += s.F * s.z; vaporLoss += (1 - s.q) * s.F;
+            } else {
+                sumS += s.S; sumSx += s.S * s.z;
+                if (s.phase === 'V') vaporLoss -= s.S;
+            }
+        });
 
-        if (Math.abs(this.q - 1) < 0.001) {
-            // Q-line x = xF
-            x_int = this.xF;
-            y_int = slope_rol * x_int + intercept_rol;
+        let D_flow, B_flow, steam = 0;
+        if (this.openSteam) {
+            // Steam = V_bottom = (R+1)*D - vaporLoss, B = L_bottom
+            D_flow = (sumFz - sumSx - this.xB * (sumF - sumS - vaporLoss)) / (this.xD + R * this.xB);
+            steam = (R + 1) * D_flow - vaporLoss;
+            B_flow = sumF + steam - sumS - D_flow;
         } else {
-            // Solve: slope_rol*x + int_rol = (q/q-1)x - (xF/q-1)
-            const mq = this.q / (this.q - 1);
-            const cq = -this.xF / (this.q - 1);
-            x_int = (cq - intercept_rol) / (slope_rol - mq);
-            y_int = slope_rol * x_int + intercept_rol;
+            // D = F(xF - xB)/(xD - xB) for a single feed
+            D_flow = (sumFz - sumSx - this.xB * (sumF - sumS)) / (this.xD - this.xB);
+            B_flow = sumF - sumS - D_flow;
+        }
+        this.results.D_flow = D_flow;
+        this.results.B_flow = B_flow;
+        if (this.openSteam) this.results.steam = steam;
+
+        // Section lines, top to bottom
+        let L = R * D_flow, V = (R + 1) * D_flow, W = D_flow * this.xD;
+        const sections = [{ m: L / V, c: W / V, L: L, V: V }];
+        streams.forEach(s => {
+            if (s.kind === 'feed') {
+                L += s.q * s.F; V -= (1 - s.q) * s.F; W -= s.F * s.z;
+            } else if (s.phase === 'V') {
+                V += s.S; W += s.S * s.z;
+            } else {
+                L -= s.S; W += s.S * s.z;
+            }
+            sections.push({ m: L / V, c: W / V, L: L, V: V });
+        });
+        this.sections = sections;
+
+        if (sections.some(sec => !(sec.V > 0) || sec.L < 0)) {
+            this.results.warning = "Negative internal flow in a section (R too low for the feeds/draws).";
         }
 
+        // Boundaries: intersection of consecutive lines (lies on the feed q-line / at the draw composition)
+        this.boundaries = streams.map((s, k) => {
+            const a = sections[k], b = sections[k + 1];
+            const x = Math.abs(a.m - b.m) > 1e-12 ? (b.c - a.c) / (a.m - b.m) : s.z;
+            return { x: x, y: a.m * x + a.c, stream: s };
+        });
+
+        const mainIdx = streams.findIndex(s => s.main);
+        const x_int = this.boundaries[mainIdx].x;
+        const y_int = this.boundaries[mainIdx].y;
         this.results.opPoint = { x: x_int, y: y_int };
 
-        // ROL Points for graph: (xD, xD) to (x_int, y_int)
-        this.points.op_rect = [{ x: this.xD, y: this.xD }, { x: x_int, y: y_int }];
+        // Graph: top section from (xD, xD), bottom section to (xB, xB) or (xB, 0)
+        const top = this.boundaries[0], bottom = this.boundaries[this.boundaries.length - 1];
+        const yB = this.openSteam ? 0 : this.xB;
+        this.points.op_rect = [{ x: this.xD, y: this.xD }, { x: top.x, y: top.y }];
+        this.points.op_strip = [{ x: this.xB, y: yB }, { x: bottom.x, y: bottom.y }];
+        this.points.op_middle = this.boundaries.slice(1).map((b, k) =>
+            [{ x: this.boundaries[k].x, y: this.boundaries[k].y }, { x: b.x, y: b.y }]);
 
-        // SOL Points for graph: (xB, xB) to (x_int, y_int)
-        this.points.op_strip = [{ x: this.xB, y: this.xB }, { x: x_int, y: y_int }];
+        // Additional feed q-lines: (z, z) to the section intersection
+        this.points.q_lines_extra = this.boundaries
+            .filter(b => b.stream.kind === 'feed' && !b.stream.main)
+            .map(b => [{ x: b.stream.z, y: b.stream.z }, { x: b.x, y: b.y }]);
 
         // Store equations for stepping
-        this.ROL = { m: slope_rol, c: intercept_rol };
-        // SOL eq: Two points (xB,xB) and (x_int,y_int)
-        const m_sol = (y_int - this.xB) / (x_int - this.xB);
-        const c_sol = this.xB - m_sol * this.xB;
-        this.SOL = { m: m_sol, c: c_sol };
+        this.ROL = sections[0];
+        this.SOL = sections[sections.length - 1];
+    }
+
+    // Section holding liquid composition x (0 = top), by the boundaries crossed
+    sectionIndex(x) {
+        let k = 0;
+        while (k < this.boundaries.length && x <= this.boundaries[k].x) k++;
+        return k;
     }
 
     // --- 5. STAGE STEPPING ---
@@ -177,6 +589,8 @@ class McCabeThiele {
         let y_curr = this.xD;
         let iter = 0;
         let feed_stage = 0;
+        let section = 0;
+        const streamStages = [];
 
         // Start at (xD, xD)
         stages.push({ x: x_curr, y: y_curr });
@@ -189,21 +603,20 @@ class McCabeThiele {
             // 1. Horizontal Step: Equilibrium (y_curr -> x_eq)
             // Given y, find x on VLE: y = ax / (1+(a-1)x)
             // x = y / (alpha - y(alpha-1))
-            const x_eq = y_curr / (this.alpha - y_curr * (this.alpha - 1));
+            const x_eq = this.eqX(y_curr);
 
             stages.push({ x: x_eq, y: y_curr }); // Point on VLE
 
             // 2. Vertical Step: Operating Line (x_eq -> y_op)
-            // Which operating line? 
-            let y_op;
-            if (x_eq > this.results.opPoint.x) {
-                // Rectifying Section
-                y_op = this.ROL.m * x_eq + this.ROL.c;
-            } else {
-                // Stripping Section
-                if (feed_stage === 0) feed_stage = iter; // Just crossed feed
-                y_op = this.SOL.m * x_eq + this.SOL.c;
+            // Which operating line? Switch once x_eq drops below a section boundary
+            while (section < this.boundaries.length && x_eq <= this.boundaries[section].x) {
+                const s = this.boundaries[section].stream;
+                streamStages.push({ label: s.label, stage: iter });
+                if (s.main && feed_stage === 0) feed_stage = iter; // Just crossed feed
+                section++;
             }
+            const line = this.sections[section];
+            const y_op = line.m * x_eq + line.c;
 
             // Check if we passed xB
             if (x_eq < this.xB) {
@@ -222,52 +635,724 @@ class McCabeThiele {
         this.results.N_feed = feed_stage;
         this.results.N_actual = iter / this.efficiency;
 
+        // First stage of each section below the top one (boundary crossings), for the column dP
+        this.sectionStarts = streamStages.map(s => s.stage);
+
+        // Stage map: condenser / streams / reboiler (stage 1 = top)
+        if (this.condenser === 'partial') streamStages.unshift({ label: 'Partial condenser', stage: 1 });
+        streamStages.push(this.openSteam
+            ? { label: 'Open steam (below)', stage: iter }
+            : { label: 'Reboiler', stage: iter });
+        this.results.streamStages = streamStages;
+
         if (iter >= MaxStages) {
-            this.results.warning = "Max stages reached (Pinch or R too low?)";
+            this.results.warning = this.results.warning || "Max stages reached (Pinch or R too low?)";
+        }
+    }
+
+    // --- 5b. MURPHREE TRAY STEPPING ---
+    // E_MV = (y_n - y_n+1) / (y*_n - y_n+1); y_n+1 lies on the operating line at x_n,
+    // so each tray steps to the pseudo-equilibrium curve y = y_op + E_MV * (y* - y_op).
+    // The reboiler is taken as one equilibrium stage.
+    relativeVolatility(x) {
+        const y = this.eqY(x);
+        return (y * (1 - x)) / (x * (1 - y));
+    }
+
+    oconnellEfficiency(alpha) {
+        return Math.min(1, 0.492 * Math.pow(this.mu_L * alpha, -0.245));
+    }
+
+    opLineY(x) {
+        const line = this.sections[this.sectionIndex(x)];
+        return line.m * x + line.c;
+    }
+
+    countMurphreeStages() {
+        const clampX = (x) => Math.min(Math.max(x, 1e-6), 1 - 1e-6);
+
+        if (this.trayModel === 'oconnell') {
+            // Section alpha: geometric mean over the section's composition span
+            const a_rect = Math.sqrt(this.relativeVolatility(clampX(this.xD)) * this.relativeVolatility(clampX(this.xF)));
+            const a_strip = Math.sqrt(this.relativeVolatility(clampX(this.xF)) * this.relativeVolatility(clampX(this.xB)));
+            this.E_rect = this.oconnellEfficiency(a_rect);
+            this.E_strip = this.oconnellEfficiency(a_strip);
+            this.results.alpha_sections = { rect: a_rect, strip: a_strip };
+        }
+        this.results.E_MV = { rect: this.E_rect, strip: this.E_strip };
+
+        const E = (x) => x > this.results.opPoint.x ? this.E_rect : this.E_strip;
+        const yPseudo = (x) => {
+            const y_op = this.opLineY(x);
+            return y_op + E(x) * (this.eqY(x) - y_op);
+        };
+
+        // Pseudo-equilibrium curve for plotting
+        const pseudo = [];
+        for (let i = 0; i <= 100; i++) {
+            const x = this.xB + (this.xD - this.xB) * i / 100;
+            pseudo.push({ x: x, y: yPseudo(x) });
+        }
+        this.points.pseudo_eq = pseudo;
+
+        const stages = [{ x: this.xD, y: this.xD }];
+        let y_curr = this.xD;
+        let trays = 0;
+        let feed_tray = 0;
+        let section = 0;
+        const streamTrays = [];
+        const MaxTrays = 200;
+        const [lo0, hi0] = this.eqBranch();
+
+        // Partial condenser: one equilibrium stage before the first tray
+        if (this.condenser === 'partial') {
+            const x0 = this.eqX(y_curr);
+            stages.push({ x: x0, y: y_curr });
+            stages.push({ x: x0, y: this.opLineY(x0) });
+            y_curr = this.opLineY(x0);
+        }
+
+        while (trays < MaxTrays) {
+            // Reboiler: one equilibrium step finishes the column (open steam: trays only)
+            const x_eq = this.eqX(y_curr);
+            if (!this.openSteam && x_eq <= this.xB) {
+                stages.push({ x: x_eq, y: y_curr });
+                break;
+            }
+
+            // Tray: solve y_pseudo(x) = y_curr
+            let lo = lo0, hi = hi0;
+            for (let i = 0; i < 50; i++) {
+                const mid = (lo + hi) / 2;
+                if (yPseudo(mid) < y_curr) lo = mid;
+                else hi = mid;
+            }
+            const x_n = (lo + hi) / 2;
+            trays++;
+            while (section < this.boundaries.length && x_n <= this.boundaries[section].x) {
+                const s = this.boundaries[section].stream;
+                streamTrays.push({ label: s.label, stage: trays });
+                if (s.main) feed_tray = trays;
+                section++;
+            }
+
+            const y_next = this.opLineY(x_n);
+            stages.push({ x: x_n, y: y_curr });
+            if (this.openSteam && x_n <= this.xB) break;
+            stages.push({ x: x_n, y: y_next });
+
+            if (y_curr - y_next < 1e-9) break; // Pinched against the pseudo-equilibrium curve
+            y_curr = y_next;
+        }
+
+        this.points.stages_actual = stages;
+        this.results.N_actual = trays;
+        this.results.N_feed_actual = feed_tray || trays;
+        this.results.streamTrays = streamTrays;
+        this.sectionStarts = streamTrays.map(s => s.stage);
+
+        if (trays >= MaxTrays || stages[stages.length - 1].x > this.xB) {
+            this.results.warning = this.results.warning || "Murphree stepping pinched (E_MV or R too low?)";
         }
     }
 
     // --- 6. MECHANICAL SIZING ---
+    // Sieve trays, checked in every section: top (xD), bottom (xB) and any between feeds / draws:
+    // Fair flooding: C_sb = 0.0105 + 8.127e-4 * TS^0.755 * exp(-1.463 * F_LV^0.842)  (TS mm, Lygeros-Magoulas fit)
+    //                U_nf = C_sb * (sigma/20)^0.2 * sqrt((rhoL - rhoV)/rhoV),  F_LV = (L/V) * sqrt(rhoV/rhoL) (mass)
+    // Then weeping, fractional entrainment (Fair), downcomer backup and tray dP (Sinnott) at the design diameter.
+    mixtureProps(x, y, T) {
+        const p = this.props;
+        const MW_L = x * p.MW[0] + (1 - x) * p.MW[1];
+        const MW_V = y * p.MW[0] + (1 - y) * p.MW[1];
+
+        // Liquid: volume additivity on mass fractions; vapor: ideal gas
+        const w1 = x * p.MW[0] / MW_L;
+        const rhoL = 1 / (w1 / p.rhoL[0] + (1 - w1) / p.rhoL[1]);
+        const rhoV = (this.pressure * 101325) * MW_V / (8314 * (T + 273.15));
+        const sigma = x * p.sigma[0] + (1 - x) * p.sigma[1];
+
+        return { MW_L: MW_L, MW_V: MW_V, rhoL: rhoL, rhoV: rhoV, sigma: sigma };
+    }
+
+    // Section loads, one per section: top vapor at its dew point, bottom liquid at its bubble point,
+    // intermediate sections at the operating point on their upper boundary (liquid at its bubble point)
+    sectionLoads() {
+        const last = this.sections.length - 1;
+        return this.sections.map((sec, k) => {
+            if (k === 0) return { name: 'top', L: sec.L, V: sec.V, x: this.xD, y: this.xD, T: this.dewT(this.xD) };
+            if (k === last) return { name: 'bottom', L: sec.L, V: sec.V, x: this.xB, y: this.eqY(this.xB), T: this.bubbleT(this.xB) };
+            const b = this.boundaries[k - 1];
+            return { name: `section ${k + 1}`, L: sec.L, V: sec.V, x: b.x, y: b.y, T: this.bubbleT(b.x) };
+        }).map(s => {
+            const pr = this.mixtureProps(s.x, s.y, s.T);
+            const Lm = s.L * pr.MW_L / 3600, Vm = s.V * pr.MW_V / 3600; // kg/s
+            const F_LV = (Lm / Vm) * Math.sqrt(pr.rhoV / pr.rhoL);
+            return Object.assign(s, pr, { Lm: Lm, Vm: Vm, Qv: Vm / pr.rhoV, F_LV: F_LV });
+        });
+    }
+
     sizeColumn() {
-        // Mass Balance
-        // D = F(xF - xB)/(xD - xB)
-        const D_flow = this.F * (this.xF - this.xB) / (this.xD - this.xB);
-        const B_flow = this.F - D_flow;
+        // Mass Balance: D, B from calcOperatingLines
+        if (this.column_type === 'packed') return this.sizePacked();
 
-        this.results.D_flow = D_flow;
-        this.results.B_flow = B_flow;
+        const g = this.trayGeometry;
+        const TS_mm = this.tray_spacing * 1000;
+
+        const loads = this.sectionLoads().map(s => {
+            const F_LV = s.F_LV;
+            const C_sb = 0.0105 + 8.127e-4 * Math.pow(TS_mm, 0.755) * Math.exp(-1.463 * Math.pow(F_LV, 0.842));
+            const U_nf = C_sb * Math.pow(s.sigma / 20, 0.2) * Math.sqrt((s.rhoL - s.rhoV) / s.rhoV);
+
+            // Net area at design flooding, then column area with the downcomer
+            const A_c = s.Qv / (this.flood_design * U_nf) / (1 - g.Ad_frac);
+            return Object.assign(s, { C_sb: C_sb, U_flood: U_nf, D_req: Math.sqrt(4 * A_c / Math.PI) });
+        });
+
+        // Design diameter: largest section, rounded up to 0.05 m
+        const Dia = Math.ceil(Math.max(...loads.map(s => s.D_req)) * 20) / 20;
+
+        const A_c = Math.PI * Dia * Dia / 4;
+        const A_d = g.Ad_frac * A_c;
+        const A_n = A_c - A_d;
+        const A_a = A_c - 2 * A_d;
+        const A_h = g.Ah_frac * A_a;
+        const l_w = g.lw_ratio * Dia;
+        const h_w = g.h_w, d_h = g.d_h; // mm
+
+        const warnings = [];
+        const sections = loads.map(s => {
+            const flood = (s.Qv / A_n) / s.U_flood;
+
+            // Weir crest (Francis), at design and 70% turndown
+            const h_ow = 750 * Math.pow(s.Lm / (s.rhoL * l_w), 2 / 3);
+            const h_ow_min = 750 * Math.pow(g.turndown * s.Lm / (s.rhoL * l_w), 2 / 3);
+
+            // Weep point: u_h,min = [K2 - 0.90*(25.4 - d_h)] / rhoV^0.5, K2 from (h_w + h_ow) (approx. curve)
+            const K2 = this.weepK2(h_w + h_ow_min);
+            const u_h_weep = (K2 - 0.90 * (25.4 - d_h)) / Math.sqrt(s.rhoV);
+            const u_h_min = g.turndown * s.Qv / A_h;
+
+            // Tray pressure drop: dry plate + liquid head + residual (mm liquid)
+            const u_h = s.Qv / A_h;
+            const h_d = 51 * Math.pow(u_h / g.C0, 2) * s.rhoV / s.rhoL;
+            const h_r = 12.5e3 / s.rhoL;
+            const h_t = h_d + h_w + h_ow + h_r;
+            const dP = 9.81e-3 * h_t * s.rhoL; // Pa
 
-        // Vapor Flow (Internal)
-        // V = D * (R+1)
-        const V_flow_kmol = D_flow * (this.R + 1);
-        // Mass Flow approx (Assuming MW avg ~ 50 for generic HCs, or user input?)
-        const MW = 50; // Estimation
-        const V_flow_kg = V_flow_kmol * MW;
-
-        // Sizing (Souders-Brown)
-        // U_max = K * sqrt((rhoL - rhoV)/rhoV)
-        // Generic params for organic solvents
-        const rhoL = 800; // kg/m3
-        const rhoV = 1.1 * this.pressure; // kg/m3 approx
-        const K = 0.07; // Sieve tray constant (approx)
-
-        const U_flood = K * Math.sqrt((rhoL - rhoV) / rhoV);
-        const U_design = 0.7 * U_flood; // 70% flooding
-
-        // Area = VolFlow / Velocity
-        // VolFlow = Mass / rhoV
-        const VolFlow = V_flow_kg / rhoV / 3600; // m3/s
-        const Area = VolFlow / U_design;
-        const Dia = Math.sqrt(4 * Area / Math.PI);
+            // Downcomer backup: h_b = (h_w + h_ow) + h_t + h_dc, clearance h_ap = h_w - 10 mm
+            const A_m = Math.min((h_w - 10) / 1000 * l_w, A_d);
+            const h_dc = 166 * Math.pow(s.Lm / (s.rhoL * A_m), 2);
+            const h_b = h_w + h_ow + h_t + h_dc;
+            const backupLimit = 0.5 * (TS_mm + h_w);
+
+            // Fractional entrainment: Fair's psi chart, acceptable up to 0.1
+            const psi = this.entrainmentPsi(s.F_LV, flood * 100);
+
+            const sec = {
+                name: s.name, T: s.T, rhoL: s.rhoL, rhoV: s.rhoV, MW_L: s.MW_L, MW_V: s.MW_V, sigma: s.sigma,
+                F_LV: s.F_LV, C_sb: s.C_sb, U_flood: s.U_flood, D_req: s.D_req,
+                flood_pct: flood * 100,
+                u_h: u_h, u_h_min: u_h_min, u_h_weep: u_h_weep, weeping: u_h_min < u_h_weep,
+                psi: psi,
+                entrainmentOK: psi <= 0.1,
+                h_ow: h_ow, h_d: h_d, h_t: h_t, dP_tray: dP,
+                h_b: h_b, backupLimit: backupLimit, backupOK: h_b <= backupLimit
+            };
+
+            if (sec.weeping) warnings.push(`${s.name}: weeping at ${g.turndown * 100}% turndown`);
+            if (!sec.entrainmentOK) warnings.push(`${s.name}: fractional entrainment ${psi.toFixed(2)} > 0.1 at ${sec.flood_pct.toFixed(0)}% flood`);
+            if (!sec.backupOK) warnings.push(`${s.name}: downcomer backup ${h_b.toFixed(0)} mm > ${backupLimit.toFixed(0)} mm`);
+            return sec;
+        });
+
+        // Share of the trays in each section, from the stage where the stepping crossed into it
+        const N_step = this.trayModel !== 'overall' ? this.results.N_actual : this.results.N_theo;
+        const start = (k) => k === 0 ? 1 : (k <= this.sectionStarts.length ? this.sectionStarts[k - 1] : N_step + 1);
+        const share = sections.map((_, k) => Math.max(Math.min(start(k + 1), N_step + 1) - start(k), 0) / N_step);
 
         // Height
         const Height = (this.results.N_actual * this.tray_spacing) + 2.0; // +2m for sump/top
 
         this.results.Diameter = Dia;
         this.results.Height = Height;
-        this.results.VaporFlow = V_flow_kmol;
+        this.results.VaporFlow = Math.max(...this.sections.map(sec => sec.V));
+        this.results.hydraulics = {
+            top: sections[0],
+            bottom: sections[sections.length - 1],
+            sections: sections,
+            dP_column: this.results.N_actual * sections.reduce((a, s, k) => a + share[k] * s.dP_tray, 0), // Pa
+            warnings: warnings
+        };
+    }
+
+    // Fair fractional entrainment psi vs F_LV and percent flood, read off the published chart
+    // (log-log in F_LV, log psi interpolated linearly in percent flood)
+    entrainmentPsi(F_LV, floodPct) {
+        const FLV = [0.01, 0.02, 0.05, 0.1, 0.2, 0.5, 1.0];
+        const curves = [
+            [30, [0.006, 0.0045, 0.0025, 0.0014, 0.0007, 0.00025, 0.0001]],
+            [40, [0.012, 0.009, 0.005, 0.0028, 0.0014, 0.0005, 0.0002]],
+            [50, [0.025, 0.018, 0.01, 0.0055, 0.0028, 0.001, 0.0004]],
+            [60, [0.05, 0.037, 0.02, 0.011, 0.0055, 0.002, 0.0008]],
+            [70, [0.1, 0.075, 0.04, 0.022, 0.011, 0.004, 0.0015]],
+            [80, [0.2, 0.15, 0.08, 0.045, 0.022, 0.008, 0.003]],
+            [90, [0.4, 0.3, 0.17, 0.1, 0.05, 0.018, 0.007]],
+            [95, [0.6, 0.45, 0.25, 0.15, 0.08, 0.03, 0.012]]
+        ];
+        const bracket = (arr, v) => {
+            let i = 0;
+            while (i < arr.length - 2 && arr[i + 1] < v) i++;
+            return [i, Math.min(Math.max((v - arr[i]) / (arr[i + 1] - arr[i]), 0), 1)];
+        };
+        const lx = Math.log10(F_LV);
+        const [j, u] = bracket(FLV.map(Math.log10), lx);
+        const logPsi = curves.map(([, psi]) => (1 - u) * Math.log10(psi[j]) + u * Math.log10(psi[j + 1]));
+        const [k, w] = bracket(curves.map(c => c[0]), floodPct);
+        return Math.pow(10, (1 - w) * logPsi[k] + w * logPsi[k + 1]);
+    }
+
+    // Sinnott weep-point constant K2 vs (h_w + h_ow) in mm, read off the published curve
+    weepK2(h) {
+        const pts = [[0, 28.3], [10, 29.2], [20, 29.8], [30, 30.2], [40, 30.5], [60, 30.7], [80, 30.9], [120, 31.0]];
+        if (h >= pts[pts.length - 1][0]) return pts[pts.length - 1][1];
+        let i = 0;
+        while (pts[i + 1][0] < h) i++;
+        const [h0, k0] = pts[i], [h1, k1] = pts[i + 1];
+        return k0 + (k1 - k0) * (h - h0) / (h1 - h0);
+    }
+
+    // --- 6b. PACKED COLUMN ---
+    // Eckert GPDC flood line: log10 Y = -1.6678 - 1.085 log10 X - 0.29655 (log10 X)^2,
+    //   X = F_LV, Y = G^2 * Fp * psi * muL^0.2 / (rhoV * rhoL * g)  (G kg/m2.s, Fp 1/m, muL cP, psi = rho_w/rhoL)
+    // Operating dP: Robbins (dry Fp used for Fpd); flood dP: Kister-Gill 0.12 * Fp^0.7 in.H2O/ft.
+    // Packed height = theoretical stages (excluding reboiler / partial condenser) x HETP.
+    sizePacked() {
+        const pk = PACKINGS[this.packing];
+        const Fp_ft = pk.Fp / 3.281; // 1/ft
+        const INH2O_FT = 817; // Pa/m per in.H2O/ft
+
+        const sections = this.sectionLoads().map(s => {
+            const lx = Math.log10(s.F_LV);
+            const Y_flood = Math.pow(10, -1.6678 - 1.085 * lx - 0.29655 * lx * lx);
+            const psi = 1000 / s.rhoL;
+            const G_flood = Math.sqrt(Y_flood * s.rhoV * s.rhoL * 9.81 / (pk.Fp * psi * Math.pow(this.mu_L, 0.2)));
+            const A = s.Vm / (this.flood_design * G_flood);
+            return Object.assign(s, { Y_flood: Y_flood, G_flood: G_flood, D_req: Math.sqrt(4 * A / Math.PI) });
+        });
+
+        // Design diameter: largest section, rounded up to 0.05 m
+        const Dia = Math.ceil(Math.max(...sections.map(s => s.D_req)) * 20) / 20;
+        const A_c = Math.PI * Dia * Dia / 4;
+
+        // Robbins: G, L in lb/ft2.h, densities lb/ft3
+        const robbins = (s) => {
+            const G = s.Vm / A_c * 737.34, L = s.Lm / A_c * 737.34;
+            const rG = s.rhoV * 0.062428, rL = s.rhoL * 0.062428;
+            const fpTerm = Fp_ft > 15 ? Math.sqrt(Fp_ft / 20) : Math.sqrt(20 / Fp_ft);
+            const Gf = G * Math.sqrt(0.075 / rG) * Math.sqrt(Fp_ft / 20);
+            const Lf = L * (62.4 / rL) * fpTerm * Math.pow(this.mu_L, 0.1);
+            const dry = 7.4e-8 * Gf * Gf * Math.pow(10, 2.7e-5 * Lf);
+            return (dry + 0.4 * Math.pow(Lf / 20000, 0.1) * Math.pow(dry, 4)) * INH2O_FT; // Pa/m
+        };
+        const dP_flood = 0.12 * Math.pow(Fp_ft, 0.7) * INH2O_FT;
+
+        // Bed heights: rectifying stages above the feed, stripping stages below (reboiler excluded)
+        const N_rect = Math.max(this.results.N_feed - 1 - (this.condenser === 'partial' ? 1 : 0), 0);
+        const N_strip = Math.max(this.results.N_theo - this.results.N_feed, 0);
+        const Z_rect = N_rect * pk.HETP, Z_strip = N_strip * pk.HETP;
+
+        const out = sections.map(s => ({
+            name: s.name, T: s.T, rhoL: s.rhoL, rhoV: s.rhoV, F_LV: s.F_LV, D_req: s.D_req,
+            flood_pct: s.Vm / A_c / s.G_flood * 100,
+            dP_per_m: robbins(s)
+        }));
+
+        this.results.Diameter = Dia;
+        this.results.Height = Z_rect + Z_strip + 2.0; // +2m for sump/top/distributors
+        this.results.VaporFlow = Math.max(...this.sections.map(sec => sec.V));
+        this.results.packed = {
+            packing: pk.name,
+            HETP: pk.HETP,
+            Z_rect: Z_rect,
+            Z_strip: Z_strip,
+            volume: A_c * (Z_rect + Z_strip),
+            top: out[0],
+            bottom: out[out.length - 1],
+            sections: out,
+            dP_flood: dP_flood,
+            dP_column: out[0].dP_per_m * Z_rect + out[out.length - 1].dP_per_m * Z_strip // Pa
+        };
+        this.results.hydraulics = undefined;
+    }
+
+    // --- 7. ENERGY BALANCE ---
+    // Saturated enthalpies (kJ/kmol, liquid at 0 C reference, latent heat taken constant):
+    // h_L(x) = Cp_mix * T_bub(x),  H_V(y) = Cp_mix * T_dew(y) + y*lambda1 + (1-y)*lambda2
+    bubbleT(x) {
+        if (this.vle !== 'alpha') return this.bubblePoint(x).T;
+        // Constant alpha + Clausius-Clapeyron for the heavy (Tb2 at 1 atm, P in atm):
+        // 1/T = 1/Tb2 + R/lambda2 * [ln(1 + (alpha-1)x) - ln P]
+        const e = this.enthalpy;
+        const invT = 1 / (e.Tb[1] + 273.15) + 8.314 / e.dHvap[1] * (Math.log(1 + (this.alpha - 1) * x) - Math.log(this.pressure));
+        return 1 / invT - 273.15;
+    }
+
+    dewT(y) {
+        if (this.vle !== 'alpha') return this.bubblePoint(this.eqX(y)).T;
+        // P2sat = P * (1 - y + y/alpha):  1/T = 1/Tb2 - R/lambda2 * [ln(1 - y + y/alpha) + ln P]
+        const e = this.enthalpy;
+        const invT = 1 / (e.Tb[1] + 273.15) - 8.314 / e.dHvap[1] * (Math.log(1 - y + y / this.alpha) + Math.log(this.pressure));
+        return 1 / invT - 273.15;
+    }
+
+    hL(x) {
+        const Cp = x * this.enthalpy.Cp[0] + (1 - x) * this.enthalpy.Cp[1];
+        return Cp * this.bubbleT(x);
+    }
+
+    HV(y) {
+        const e = this.enthalpy;
+        const Cp = y * e.Cp[0] + (1 - y) * e.Cp[1];
+        return Cp * this.dewT(y) + y * e.dHvap[0] + (1 - y) * e.dHvap[1];
+    }
+
+    // Feed enthalpy from q: h_F = H_V - q * (H_V - h_L)
+    feedEnthalpy(z, q) {
+        const H = this.HV(z), h = this.hL(z);
+        return H - q * (H - h);
+    }
+
+    calcEnergyBalance() {
+        const D = this.results.D_flow, B = this.results.B_flow;
+        const hD = this.hL(this.xD), hB = this.hL(this.xB);
+
+        // Condenser: top vapor to saturated liquid (total), or to reflux + vapor product (partial)
+        const V1 = this.ROL.V, L0 = this.ROL.L;
+        let Q_C, h_Dprod;
+        if (this.condenser === 'partial') {
+            const x0 = this.eqX(this.xD);
+            const y1 = this.ROL.m * x0 + this.ROL.c;
+            h_Dprod = this.HV(this.xD);
+            Q_C = V1 * this.HV(y1) - L0 * this.hL(x0) - D * h_Dprod;
+        } else {
+            h_Dprod = hD;
+            Q_C = V1 * (this.HV(this.xD) - hD);
+        }
+
+        // Overall: Q_R + sum F*h_F + S_steam*H_steam = D*h_D + B*h_B + sum S*h_S + Q_C
+        let heatIn = 0, heatOut = D * h_Dprod + B * hB + Q_C;
+        this.streams.forEach(s => {
+            if (s.kind === 'feed') heatIn += s.F * this.feedEnthalpy(s.z, s.q);
+            else heatOut += s.S * (s.phase === 'V' ? this.HV(s.z) : this.hL(s.z));
+        });
+        if (this.openSteam) heatIn += this.results.steam * this.HV(0);
+        const Q_R = this.openSteam ? 0 : heatOut - heatIn;
+
+        // Utilities: steam latent heat (kJ/kg), cooling water rise (K)
+        const e = this.enthalpy;
+        this.results.energy = {
+            Q_C: Q_C / 3600,                  // kW
+            Q_R: Q_R / 3600,                  // kW
+            steam_kg_h: this.openSteam ? this.results.steam * 18.015 : Q_R / e.steamLatent, // Open steam: the live steam itself
+            cw_m3_h: Q_C / (4.18 * e.cwRise * 1000),
+            imbalance: this.openSteam ? (heatIn - heatOut) / 3600 : 0 // kW left over with open steam
+        };
+    }
+
+    // --- 8. PONCHON-SAVARIT ---
+    // Enthalpy-concentration stepping without constant molal overflow.
+    // Difference points: Delta_D = (xD, h_D + Q_C/D), Delta_B = (xB, h_B - Q_R/B).
+    // Each stage: tie line L_n <-> V_n on the saturated curves, then V_n+1 on the line Delta -> L_n.
+    ponchonSavarit() {
+        if (this.streams.length > 1 || this.condenser === 'partial' || this.openSteam) {
+            this.results.ponchon = { warning: "Ponchon-Savarit: single feed, total condenser and reboiler only." };
+            return;
+        }
+
+        const D = this.results.D_flow, B = this.results.B_flow;
+        const en = this.results.energy;
+        const dD = { x: this.xD, h: this.hL(this.xD) + en.Q_C * 3600 / D };
+        const dB = { x: this.xB, h: this.hL(this.xB) - en.Q_R * 3600 / B };
+
+        // Saturated curves for the H-x diagram
+        const liquid = [], vapor = [];
+        for (let i = 0; i <= 50; i++) {
+            const x = i / 50;
+            liquid.push({ x: x, y: this.hL(x) });
+            vapor.push({ x: x, y: this.HV(x) });
+        }
+
+        // Switch sections where the Delta_D - Delta_B line crosses the liquid curve
+        const lineH = (x) => dB.h + (dD.h - dB.h) * (x - dB.x) / (dD.x - dB.x);
+        let lo = this.xB, hi = this.xD;
+        for (let i = 0; i < 50; i++) {
+            const mid = (lo + hi) / 2;
+            if (this.hL(mid) > lineH(mid)) lo = mid;
+            else hi = mid;
+        }
+        const x_switch = (lo + hi) / 2;
+
+        // V_n+1 collinear with Delta and L_n: solve on the saturated vapor curve, y in (x, 1)
+        const nextY = (x, delta) => {
+            const hx = this.hL(x);
+            const f = (y) => (this.HV(y) - hx) * (delta.x - x) - (delta.h - hx) * (y - x);
+            let a = x + 1e-9, b = 1;
+            const fa = f(a);
+            for (let i = 0; i < 60; i++) {
+                const mid = (a + b) / 2;
+                if (f(mid) * fa > 0) a = mid;
+                else b = mid;
+            }
+            return (a + b) / 2;
+        };
+
+        const ties = [];
+        let y = this.xD, N = 0, N_feed = 0, delta = dD;
+        while (N < 100) {
+            N++;
+            const x = this.eqX(y);
+            ties.push([{ x: x, y: this.hL(x) }, { x: y, y: this.HV(y) }]);
+            if (x <= this.xB) break;
+            if (delta === dD && x < x_switch) {
+                delta = dB;
+                N_feed = N;
+            }
+            const y_next = nextY(x, delta);
+            if (y - y_next < 1e-9 && delta === dB) { N = 100; break; } // Pinched
+            y = y_next;
+        }
+
+        this.results.ponchon = { N: N, N_feed: N_feed || N, deltaD: dD, deltaB: dB };
+        if (N >= 100) this.results.ponchon.warning = "Ponchon-Savarit: max stages reached (pinch).";
+        this.points.hx = { liquid: liquid, vapor: vapor, ties: ties, deltaD: dD, deltaB: dB };
+    }
+
+    // --- 9. OPTIMUM REFLUX (ECONOMICS) ---
+    // Capital (installed $): shell 17640 * D^1.066 * H^0.802 (m), trays trayCost * D^1.55 each,
+    // condenser / reboiler 7296 * A^0.65 (m2). TAC = capital / payback + steam + cooling water.
+    costAtR() {
+        const e = this.econ;
+        const r = this.results;
+        const D = r.Diameter, H = r.Height;
+        const trays = Math.ceil(r.N_actual);
+        const Q_C = r.energy.Q_C, Q_R = Math.max(r.energy.Q_R, 0); // kW
+
+        // Condenser: LMTD against cooling water; reboiler: fixed approach
+        const T_top = this.bubbleT(this.xD);
+        const dT1 = T_top - e.cwIn, dT2 = T_top - (e.cwIn + this.enthalpy.cwRise);
+        const lmtd = (dT1 > 0 && dT2 > 0)
+            ? (Math.abs(dT1 - dT2) < 1e-6 ? dT1 : (dT1 - dT2) / Math.log(dT1 / dT2))
+            : NaN;
+        const A_C = Q_C / (e.U_C * lmtd);
+        const A_R = Q_R / (e.U_R * e.dT_R);
+
+        const shell = 17640 * Math.pow(D, 1.066) * Math.pow(H, 0.802);
+        const trayCost = this.column_type === 'packed'
+            ? r.packed.volume * PACKINGS[this.packing].cost
+            : e.trayCost * Math.pow(D, 1.55) * trays;
+        const exchangers = 7296 * (Math.pow(A_C, 0.65) + Math.pow(A_R, 0.65));
+        const capital = shell + trayCost + exchangers;
+
+        const steam = r.energy.steam_kg_h / 1000 * e.steamPrice * e.hours; // $/yr
+        const water = r.energy.cw_m3_h * e.cwPrice * e.hours;               // $/yr
+
+        return {
+            R: this.R,
+            N: trays,
+            Dia: D,
+            H: H,
+            A_C: A_C,
+            A_R: A_R,
+            capital: capital,
+            capitalAnnual: capital / e.payback,
+            operating: steam + water,
+            TAC: capital / e.payback + steam + water
+        };
+    }
+
+    optimizeReflux() {
+        const R_min = this.results.R_min;
+        if (!isFinite(R_min) || R_min <= 0) {
+            this.results.economics = { warning: "Economic sweep needs a finite, positive R_min." };
+            return;
+        }
+
+        const e = this.econ;
+        const R_keep = this.R;
+        const savedWarning = this.results.warning;
+        const curve = [];
+
+        for (let i = 0; i < e.nPts; i++) {
+            const ratio = e.ratioMin + (e.ratioMax - e.ratioMin) * i / (e.nPts - 1);
+            this.results.warning = undefined;
+            this.evaluateAtR(ratio * R_min);
+            if (this.results.warning) continue; // Pinched / max stages: not a design
+            curve.push(Object.assign({ ratio: ratio }, this.costAtR()));
+        }
+
+        this.results.warning = savedWarning;
+        const valid = curve.filter(p => isFinite(p.TAC));
+        const optimum = valid.length ? valid.reduce((a, b) => (b.TAC < a.TAC ? b : a)) : null;
+        this.results.economics = { curve: valid, optimum: optimum };
+        // Optimum on the edge of the sweep: the true minimum may lie outside it
+        if (optimum && (optimum === valid[0] || optimum === valid[valid.length - 1])) {
+            this.results.economics.atBound = true;
+        }
+        if (!optimum) this.results.economics.warning = "No costed design in the R/R_min range (check cooling water vs top T).";
+
+        this.R = R_keep;
+    }
+}
+
+// --- BATCH DISTILLATION ---
+// Still + (N - 1) theoretical stages + total condenser, constant boil-up V, constant molal overflow.
+// Reuses the McCabe-Thiele equilibrium curve; each state is a stepping from (xD, xD) down
+// y = R/(R+1) x + xD/(R+1) for N equilibrium stages, the last one being the still.
+// Rayleigh (simple) distillation is the N = 1 case: xD = y*(xW).
+//   Constant reflux:  ln(W/W0) = -Int[xW..xW0] dx / (xD - x),  dt = (R+1) dD / V
+//   Constant xD:      W = W0 (xD - xW0) / (xD - xW),  R(xW) found by stepping
+class BatchDistillation extends McCabeThiele {
+    constructor(inputs) {
+        super(inputs);
+        this.mode = inputs.mode || 'rayleigh'; // 'rayleigh' | 'constant_reflux' | 'constant_xD'
+        this.N_stages = this.mode === 'rayleigh' ? 1 : Math.max(Math.round(inputs.N_stages || 5), 1); // incl. still
+        this.W0 = inputs.W0 || 100;                 // Charge (kmol)
+        this.xW0 = inputs.xW0 || 0.5;               // Charge composition
+        this.xW_end = inputs.xW_end || 0.1;         // Final still composition
+        this.V_boil = inputs.V_boil || 20;          // Boil-up (kmol/h)
+        this.nSteps = inputs.nSteps || 100;
+
+        this.simulate();
+    }
+
+    // Equilibrium only: the continuous design (q-line, R_min, sizing, costs) does not apply
+    init() {
+        this.generateVLE();
+    }
+
+    // Still composition after stepping N stages down from the condenser
+    stepColumn(xD, R) {
+        const m = R / (R + 1);
+        let y = xD, x = xD;
+        for (let n = 1; n <= this.N_stages; n++) {
+            x = this.eqX(y);
+            y = m * x + (1 - m) * xD;
+        }
+        return x;
+    }
+
+    // Instantaneous distillate for still composition xW at fixed R (bisection; xW rises with xD)
+    distillateAt(xW, R) {
+        let lo = xW, hi = this.eqBranch()[1];
+        if (this.stepColumn(hi, R) <= xW) return hi;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (this.stepColumn(mid, R) < xW) lo = mid;
+            else hi = mid;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // Reflux holding xD for still composition xW (bisection on L/V; more reflux strips the still further)
+    refluxFor(xW) {
+        if (this.stepColumn(this.xD, 0) <= xW) return 0;
+        const M_MAX = 0.999;
+        if (this.stepColumn(this.xD, M_MAX / (1 - M_MAX)) > xW) return Infinity;
+        let lo = 0, hi = M_MAX;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (this.stepColumn(this.xD, mid / (1 - mid)) > xW) lo = mid;
+            else hi = mid;
+        }
+        const m = (lo + hi) / 2;
+        return m / (1 - m);
+    }
+
+    // Minimum reflux for xD from a still at xW (pinch at the still): R_min = (xD - y*) / (y* - xW)
+    minRefluxAt(xW) {
+        const y = this.eqY(xW);
+        return (this.xD - y) / (y - xW);
+    }
+
+    // Boil-up heat per kmol of vapor from the still (kJ/kmol)
+    stillLatent(xW) {
+        return this.HV(this.eqY(xW)) - this.hL(xW);
+    }
+
+    simulate() {
+        const W0 = this.W0, xW0 = this.xW0;
+        const R = this.mode === 'rayleigh' ? 0 : this.R;
+        const R_MAX_FACTOR = 10;
+        const state = (xW) => {
+            if (this.mode === 'constant_xD') {
+                return { xD: this.xD, R: this.refluxFor(xW), W: W0 * (this.xD - xW0) / (this.xD - xW) };
+            }
+            return { xD: this.distillateAt(xW, R), R: R };
+        };
+
+        const profile = [];
+        let prev = Object.assign(state(xW0), { xW: xW0, W: W0 });
+        let t = 0, Q = 0, warning;
+        profile.push({ t: 0, frac: 0, W: W0, xW: xW0, xD: prev.xD, xD_avg: prev.xD, R: prev.R });
+
+        if (this.xW_end >= xW0) warning = "Final still composition must be below the charge composition";
+        else if (this.mode === 'constant_xD' && this.xD <= xW0) warning = "Target distillate must be richer than the charge";
+        else if (this.mode === 'constant_reflux' && !(R >= 0)) warning = "Constant-reflux operation needs a reflux ratio R >= 0";
+
+        const dx = (xW0 - this.xW_end) / this.nSteps;
+        for (let k = 1; k <= this.nSteps && !warning; k++) {
+            const xW = xW0 - k * dx;
+            const cur = Object.assign(state(xW), { xW: xW });
+            if (!isFinite(cur.R)) {
+                warning = `Target distillate not reachable with ${this.N_stages} stages below xW = ${xW.toFixed(3)}`;
+                break;
+            }
+            // Holding xD past a practical reflux (R_MAX_FACTOR x R_min at this still composition): stop there
+            const R_min = this.mode === 'constant_xD' ? this.minRefluxAt(xW) : 0;
+            if (R_min > 0 && cur.R > R_MAX_FACTOR * R_min) {
+                warning = `Holding xD needs R = ${cur.R.toFixed(1)} > ${R_MAX_FACTOR} x R_min below xW = ${xW.toFixed(3)}; run stopped there`;
+                break;
+            }
+
+            // Rayleigh step (trapezoid in xW) unless W follows directly from the balance
+            if (this.mode !== 'constant_xD') {
+                const f = (p) => 1 / (p.xD - p.xW);
+                cur.W = prev.W * Math.exp(-0.5 * (f(prev) + f(cur)) * dx);
+            }
+
+            // Distillate taken this step; vapor = (R+1) dD at the mean reflux
+            const dD = prev.W - cur.W;
+            const Rm = 0.5 * (prev.R + cur.R);
+            const dV = (Rm + 1) * dD;
+            t += dV / this.V_boil;
+            Q += dV * 0.5 * (this.stillLatent(prev.xW) + this.stillLatent(xW));
+
+            const D = W0 - cur.W;
+            profile.push({
+                t: t, frac: D / W0, W: cur.W, xW: xW, xD: cur.xD,
+                xD_avg: (W0 * xW0 - cur.W * xW) / D, R: cur.R
+            });
+            prev = cur;
+        }
+
+        const last = profile[profile.length - 1];
+        this.results.batch = {
+            profile: profile,
+            D_total: W0 - last.W,
+            xD_avg: last.xD_avg,
+            W_final: last.W,
+            xW_final: last.xW,
+            t_total: last.t,
+            Q_total: Q / 3600,                        // kWh
+            steam_kg: Q / this.enthalpy.steamLatent,
+            warning: warning
+        };
     }
 }
 
 // Expose to window
 window.McCabeThiele = McCabeThiele;
+window.BatchDistillation = BatchDistillation;
+window.VLE_SYSTEMS = VLE_SYSTEMS;
+window.PACKINGS = PACKINGS;
@@ -1,12 +1,16 @@
 /**
  * Multicomponent Distillation Design Tool (FUG Method)
  * Implements Fenske-Underwood-Gilliland-Kirkbride Shortcut Method
+ * - Antoine K-values: Bubble / Dew Point Temperatures, Geometric-Mean Alphas (Top, Feed, Bottom)
+ * - Feed Flash (Rachford-Rice): Isothermal or Adiabatic, Vapor Fraction and q
+ * - Underwood with Distributing Non-Keys: All Theta Roots, Fenske Consistency Check
+ * - Rigorous Check: Wang-Henke Bubble-Point MESH Solver from the FUG Design
  */
 
 class FUGDesign {
     constructor(inputs) {
         this.F = inputs.F; // Feed Flow kmol/h
-        this.components = inputs.components; // Array of {name, z, alpha, MW, type}
+        this.components = inputs.components; // Array of {name, z, alpha, MW, type, antoine: {A, B, C}, Cp}
         this.q = inputs.q || 1.0; // Feed Quality
         this.R_factor = inputs.R_factor || 1.2; // R = factor * Rmin
         this.recovery_LK = inputs.recovery_LK || 0.99;
@@ -15,21 +19,242 @@ class FUGDesign {
         this.pressure = inputs.pressure || 1.0; // atm
         this.spacing = inputs.tray_spacing || 0.6; // m
 
+        // K-values: 'alpha' (fixed input alphas) or 'antoine' (K = Psat/P, log10 Psat(mmHg) = A - B/(T(C) + C))
+        this.kvalues = inputs.kvalues || 'alpha';
+        this.cwIn = inputs.cwIn || 30; // Cooling water supply (C)
+
+        // Feed condition: 'q' (manual), 'isothermal' (flash at T_feed, P_feed), 'adiabatic' (liquid at T_up
+        // let down to P_feed). Flashing needs Antoine constants; q then follows from the flash.
+        this.feed_spec = inputs.feed_spec || 'q';
+        this.P_feed = inputs.P_feed || this.pressure; // atm
+        this.T_feed_in = inputs.T_feed;               // C
+        this.T_up = inputs.T_up;                      // C
+
         this.results = {};
 
         this.init();
     }
 
     init() {
+        // Antoine K-values need constants for every component; otherwise fall back to the input alphas
+        if (this.kvalues === 'antoine' && !this.hasAntoine()) {
+            this.kvalues = 'alpha';
+            this.results.warning = "Antoine K-values need constants for every component; using the input alphas";
+        }
+        if (this.feed_spec !== 'q') this.flashFeed();
+        if (this.kvalues === 'antoine') this.calcFeedAlphas();
         this.identifyKeys();
         this.performMassBalance();
         this.calcFenske();
+        if (this.kvalues === 'antoine') this.calcColumnTemperatures();
         this.solveUnderwood();
         this.calcGilliland();
         this.calcKirkbride();
         this.calcSizing();
     }
 
+    // 0. K-values (Antoine + Raoult)
+    hasAntoine() {
+        return this.components.every(c => c.antoine && [c.antoine.A, c.antoine.B, c.antoine.C].every(isFinite));
+    }
+
+    Psat(c, T) {
+        return Math.pow(10, c.antoine.A - c.antoine.B / (T + c.antoine.C)); // mmHg
+    }
+
+    Kvalue(c, T, P = this.pressure) {
+        return this.Psat(c, T) / (P * 760);
+    }
+
+    // Bubble point: Sum(K_i x_i) = 1 (bisection on T, sum rises with T)
+    bubblePoint(x, P = this.pressure) {
+        let lo = -150, hi = 400;
+        for (let i = 0; i < 60; i++) {
+            const T = (lo + hi) / 2;
+            const sum = this.components.reduce((s, c, j) => s + this.Kvalue(c, T, P) * x[j], 0);
+            if (sum < 1) lo = T;
+            else hi = T;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // Dew point: Sum(y_i / K_i) = 1 (sum falls with T)
+    dewPoint(y, P = this.pressure) {
+        let lo = -150, hi = 400;
+        for (let i = 0; i < 60; i++) {
+            const T = (lo + hi) / 2;
+            const sum = this.components.reduce((s, c, j) => s + y[j] / this.Kvalue(c, T, P), 0);
+            if (sum > 1) lo = T;
+            else hi = T;
+        }
+        return (lo + hi) / 2;
+    }
+
+    // Latent heat from the Antoine slope (Clausius-Clapeyron): lambda = ln(10) * R * B * T^2 / (T + C)^2, kJ/kmol
+    latentHeat(c, T) {
+        const TK = T + 273.15;
+        return Math.LN10 * 8.314 * c.antoine.B * TK * TK / Math.pow(T + c.antoine.C, 2);
+    }
+
+    // Isothermal flash, Rachford-Rice: Sum z_i (K_i - 1) / (1 + psi (K_i - 1)) = 0, psi = V/F
+    flash(T, P) {
+        const z = this.components.map(c => c.z);
+        const K = this.components.map(c => this.Kvalue(c, T, P));
+        const rr = (psi) => z.reduce((s, zi, i) => s + zi * (K[i] - 1) / (1 + psi * (K[i] - 1)), 0);
+
+        // Single phase: subcooled if Sum(z K) <= 1, superheated if Sum(z / K) <= 1
+        let psi;
+        if (rr(0) <= 0) psi = 0;
+        else if (rr(1) >= 0) psi = 1;
+        else {
+            // rr falls monotonically in psi
+            let lo = 0, hi = 1;
+            for (let i = 0; i < 60; i++) {
+                const mid = (lo + hi) / 2;
+                if (rr(mid) > 0) lo = mid;
+                else hi = mid;
+            }
+            psi = (lo + hi) / 2;
+        }
+
+        const x = z.map((zi, i) => zi / (1 + psi * (K[i] - 1)));
+        const y = x.map((xi, i) => K[i] * xi);
+        const sx = x.reduce((a, b) => a + b, 0), sy = y.reduce((a, b) => a + b, 0);
+        return { T: T, P: P, psi: psi, K: K, x: x.map(v => v / sx), y: y.map(v => v / sy) };
+    }
+
+    // Flash enthalpy (kJ/kmol feed, liquid at 0 C reference): (1 - psi) h_L + psi H_V, H_V = h_L + lambda(T)
+    flashEnthalpy(fl) {
+        const Cp = (c) => c.Cp || 150; // kJ/kmol.K
+        return this.components.reduce((h, c, i) => {
+            const n_L = (1 - fl.psi) * fl.x[i], n_V = fl.psi * fl.y[i];
+            return h + (n_L + n_V) * Cp(c) * fl.T + n_V * this.latentHeat(c, fl.T);
+        }, 0);
+    }
+
+    // Feed flash and thermal condition. Two-phase: q = 1 - psi; subcooled liquid:
+    // q = 1 + Cp (T_bub - T) / lambda; superheated vapor: q = -Cp (T - T_dew) / lambda
+    flashFeed() {
+        if (!this.hasAntoine()) {
+            this.results.warning = (this.results.warning ? this.results.warning + '; ' : '')
+                + `Feed flash needs Antoine constants for every component; using q = ${this.q}`;
+            return;
+        }
+        const T_spec = this.feed_spec === 'adiabatic' ? this.T_up : this.T_feed_in;
+        if (!isFinite(T_spec)) {
+            this.results.warning = (this.results.warning ? this.results.warning + '; ' : '')
+                + `Feed flash needs ${this.feed_spec === 'adiabatic' ? 'the upstream liquid' : 'the feed'} temperature; using q = ${this.q}`;
+            return;
+        }
+
+        const P = this.P_feed;
+        const z = this.components.map(c => c.z);
+        const T_bub = this.bubblePoint(z, P), T_dew = this.dewPoint(z, P);
+
+        let fl;
+        if (this.feed_spec === 'adiabatic') {
+            // Energy balance: liquid at T_up = flashed mixture at T (bisection, enthalpy rises with T)
+            const h_in = this.components.reduce((h, c) => h + c.z * (c.Cp || 150) * this.T_up, 0);
+            let lo = -150, hi = 400;
+            for (let i = 0; i < 60; i++) {
+                const mid = (lo + hi) / 2;
+                if (this.flashEnthalpy(this.flash(mid, P)) < h_in) lo = mid;
+                else hi = mid;
+            }
+            fl = this.flash((lo + hi) / 2, P);
+        } else {
+            fl = this.flash(this.T_feed_in, P);
+        }
+
+        const Cp_mix = this.components.reduce((s, c) => s + c.z * (c.Cp || 150), 0);
+        const lambda = (T) => this.components.reduce((s, c) => s + c.z * this.latentHeat(c, T), 0);
+        let q;
+        if (fl.T <= T_bub) q = 1 + Cp_mix * (T_bub - fl.T) / lambda(T_bub);
+        else if (fl.T >= T_dew) q = -Cp_mix * (fl.T - T_dew) / lambda(T_dew);
+        else q = 1 - fl.psi;
+
+        this.q = q;
+        this.T_feed = fl.T;
+        this.results.flash = {
+            T: fl.T,
+            P: P,
+            psi: fl.psi,
+            q: q,
+            T_bubble: T_bub,
+            T_dew: T_dew,
+            V: this.F * fl.psi,
+            L: this.F * (1 - fl.psi),
+            phase: fl.T <= T_bub ? 'Subcooled liquid' : fl.T >= T_dew ? 'Superheated vapor' : 'Two-phase',
+            streams: this.components.map((c, i) => ({ name: c.name, z: c.z, x: fl.x[i], y: fl.y[i], K: fl.K[i] }))
+        };
+    }
+
+    // Alphas at the feed temperature (flash T, else bubble point for q >= 1, dew point for q <= 0, linear in between);
+    // these order the components and start the column-temperature iteration
+    calcFeedAlphas() {
+        // Flashed feed: its own temperature; otherwise estimated from q
+        if (!this.results.flash) {
+            const z = this.components.map(c => c.z);
+            const qf = Math.min(Math.max(this.q, 0), 1);
+            this.T_feed = qf * this.bubblePoint(z) + (1 - qf) * this.dewPoint(z);
+        }
+
+        const K = this.components.map(c => this.Kvalue(c, this.T_feed));
+        const K_ref = Math.min(...K);
+        this.components.forEach((c, i) => {
+            c.alpha_feed = K[i] / K_ref;
+            c.alpha = c.alpha_feed;
+        });
+    }
+
+    // Column temperatures: top = dew point of the distillate, condenser = its bubble point (total
+    // condenser), reboiler = bubble point of the bottoms. Alphas relative to HK at top, feed and
+    // bottom are combined as alpha = (a_top * a_feed * a_bot)^(1/3); the split is then redone with
+    // Fenske and the temperatures re-evaluated until they settle.
+    calcColumnTemperatures() {
+        const HK = this.components[this.HK_index];
+        const rel = (T) => {
+            const K_HK = this.Kvalue(HK, T);
+            return this.components.map(c => this.Kvalue(c, T) / K_HK);
+        };
+        const a_feed = rel(this.T_feed);
+
+        let T_top = NaN, T_reb = NaN;
+        for (let iter = 0; iter < 20; iter++) {
+            const T_top_new = this.dewPoint(this.components.map(c => c.xD));
+            const T_reb_new = this.bubblePoint(this.components.map(c => c.xB));
+            const converged = Math.abs(T_top_new - T_top) < 0.01 && Math.abs(T_reb_new - T_reb) < 0.01;
+            T_top = T_top_new;
+            T_reb = T_reb_new;
+            if (converged) break;
+
+            const a_top = rel(T_top), a_bot = rel(T_reb);
+            this.components.forEach((c, i) => {
+                c.alpha_top = a_top[i];
+                c.alpha_feed = a_feed[i];
+                c.alpha_bot = a_bot[i];
+                c.alpha = Math.cbrt(a_top[i] * a_feed[i] * a_bot[i]);
+            });
+            this.alpha_LK = this.components[this.LK_index].alpha;
+            this.alpha_HK = this.components[this.HK_index].alpha;
+
+            this.performMassBalance();
+            this.calcFenske();
+        }
+
+        const T_cond = this.bubblePoint(this.components.map(c => c.xD));
+        this.results.temperatures = { top: T_top, condenser: T_cond, feed: this.T_feed, reboiler: T_reb };
+
+        // Utilities: cooling water needs ~10 K approach; steam levels by saturation temperature
+        this.results.utilities = {
+            condenser: T_cond >= this.cwIn + 10 ? 'Cooling water' : 'Refrigeration',
+            reboiler: T_reb <= 140 ? 'LP steam' : T_reb <= 180 ? 'MP steam' : T_reb <= 240 ? 'HP steam' : 'Fired heater'
+        };
+        if (this.results.utilities.condenser === 'Refrigeration') {
+            this.results.warning = (this.results.warning ? this.results.warning + '; ' : '') + `Condenser at ${T_cond.toFixed(1)} C needs refrigeration; raise the column pressure for cooling water`;
+        }
+    }
+
     // 1. Identify Keys & Validations
     identifyKeys() {
         // Sort by Alpha (Descending)
@@ -81,6 +306,11 @@ class FUGDesign {
                 // Let's assume input is Recov in Distillate for consistency logic, usually low like 0.01)
                 d_i = f * this.recovery_HK;
                 b_i = f - d_i;
+            } else {
+                // Between the keys: recovery linear in alpha from HK to LK
+                const w = (comp.alpha - this.alpha_HK) / (this.alpha_LK - this.alpha_HK);
+                d_i = f * (this.recovery_HK + w * (this.recovery_LK - this.recovery_HK));
+                b_i = f - d_i;
             }
 
             comp.d = d_i;
@@ -141,66 +371,147 @@ class FUGDesign {
     }
 
     // 4. Underwood (Min Reflux)
+    // Feed roots: Sum( alpha_i * z_i / (alpha_i - theta) ) = 1 - q, one root between each pair of adjacent
+    // alphas. Every root between the lightest and heaviest distributing component gives
+    //   Sum( alpha_i * d_i / (alpha_i - theta_k) ) = V_min = D (Rmin + 1),
+    // linear in V_min and the distillate flows d_j of the distributing non-keys.
     solveUnderwood() {
-        // Step 1: Find theta. Sum( alpha * zF / (alpha - theta) ) = 1 - q
-        // theta must be between alpha_HK and alpha_LK
+        const comps = this.components;
+        const n = comps.length;
+        const LK = comps[this.LK_index];
+        const HK = comps[this.HK_index];
 
         const f_theta = (theta) => {
             let sum = 0;
-            this.components.forEach(c => {
+            comps.forEach(c => {
                 sum += (c.alpha * c.z) / (c.alpha - theta);
             });
             return sum - (1 - this.q);
         };
 
-        // Bisection Method
-        let low = this.alpha_HK + 0.0001;
-        let high = this.alpha_LK - 0.0001;
-        let theta = (low + high) / 2;
-
-        for (let i = 0; i < 100; i++) {
-            const val = f_theta(theta);
-            if (Math.abs(val) < 1e-6) break;
-
-            if (val > 0) {
-                // Function is increasing? Check derivative... 
-                // d/dtheta of term is alpha*z / (alpha-theta)^2 ... always positive sum
-                // So function is monotonically increasing.
-                // If val > 0, theta is too high?
-                // Wait, pole at alpha. Graph shape hyperbola.
-                // Between alpha_HK and alpha_LK, function goes from -inf to +inf.
-                // So strictly increasing.
-                // If val > target (0), reduce theta? 
-                // Sum > 1-q. 
-                // Let's verify monotonicity. alpha=2, theta=1.5denom=0.5 -> pos.
-                // Yes. increasing.
-                // If sum > target, we need smaller theta.
-                // Wait. 1/(a-theta). As theta increases -> a-theta decreases -> term increases.
-                // Yes.
-                high = theta;
-            } else {
-                low = theta;
+        // Bisection between adjacent poles: the sum rises monotonically from -inf to +inf
+        const findRoot = (a_low, a_high) => {
+            let low = a_low + 1e-4 * (a_high - a_low);
+            let high = a_high - 1e-4 * (a_high - a_low);
+            let theta = (low + high) / 2;
+            for (let i = 0; i < 100; i++) {
+                const val = f_theta(theta);
+                if (Math.abs(val) < 1e-9) break;
+                if (val > 0) high = theta;
+                else low = theta;
+                theta = (low + high) / 2;
             }
-            theta = (low + high) / 2;
-        }
+            return theta;
+        };
 
-        this.theta = theta;
-        this.results.theta = theta;
+        // Keep the Fenske (total reflux) split for the consistency check
+        comps.forEach(c => { c.d_fenske = c.d; });
 
-        // Step 2: Calc Rmin. Sum( alpha * xD / (alpha - theta) ) = Rmin + 1
-        let sum_R = 0;
-        this.components.forEach(c => {
-            sum_R += (c.alpha * c.xD) / (c.alpha - theta);
+        // Shiras test: distillate recovery if the component distributed linearly in alpha between the keys
+        // r_i = (a_i - a_HK)/(a_LK - a_HK) r_LK + (a_LK - a_i)/(a_LK - a_HK) r_HK; distributes if -0.01 < r_i < 1.01
+        const r_LK = LK.d / (this.F * LK.z), r_HK = HK.d / (this.F * HK.z);
+        comps.forEach((c, i) => {
+            const r = ((c.alpha - HK.alpha) * r_LK + (LK.alpha - c.alpha) * r_HK) / (LK.alpha - HK.alpha);
+            c.shiras = r;
+            c.distributes = (i >= this.LK_index && i <= this.HK_index) || (r > -0.01 && r < 1.01);
         });
 
-        this.R_min = sum_R - 1;
+        let thetas = [], V_min = 0, guard = 0;
+        for (;;) {
+            const dist = comps.map((c, i) => c.distributes ? i : -1).filter(i => i >= 0);
+            const first = dist[0], last = dist[dist.length - 1];
+
+            // Non-distributing: lights all overhead, heavies all in the bottoms
+            comps.forEach((c, i) => {
+                if (!c.distributes) c.d = i < first ? this.F * c.z : 0;
+            });
+            LK.d = this.F * LK.z * this.recovery_LK;
+            HK.d = this.F * HK.z * this.recovery_HK;
+
+            thetas = [];
+            for (let j = first; j < last; j++) thetas.push(findRoot(comps[j + 1].alpha, comps[j].alpha));
+
+            // Unknowns: d_j of distributing non-keys, then V_min
+            const unknown = dist.filter(i => i !== this.LK_index && i !== this.HK_index);
+            const A = thetas.map(th => unknown.map(j => comps[j].alpha / (comps[j].alpha - th)).concat([-1]));
+            const rhs = thetas.map(th => -comps.reduce((s, c, i) =>
+                unknown.includes(i) ? s : s + c.alpha * c.d / (c.alpha - th), 0));
+            const sol = this.solveLinear(A, rhs);
+            unknown.forEach((j, k) => { comps[j].d = sol[k]; });
+            V_min = sol[sol.length - 1];
+
+            // A distributing guess with d outside [0, f] does not distribute: pin it and re-solve
+            const bad = unknown.filter(j => comps[j].d < 0 || comps[j].d > this.F * comps[j].z);
+            if (!bad.length || ++guard > n) break;
+            bad.forEach(j => { comps[j].distributes = false; });
+        }
+
+        // Product split at minimum reflux
+        this.D = comps.reduce((s, c) => s + c.d, 0);
+        this.B = this.F - this.D;
+        comps.forEach(c => {
+            c.b = this.F * c.z - c.d;
+            c.xD = c.d / this.D;
+            c.xB = c.b / this.B;
+        });
+
+        // Loose specs (low LK / high HK recovery) can leave V_min <= D: no reflux needed, so Gilliland starts from 0
+        this.R_min = V_min / this.D - 1;
+        if (!(this.R_min > 0)) {
+            this.results.warning = (this.results.warning ? this.results.warning + '; ' : '')
+                + `Underwood gives R_min = ${this.R_min.toFixed(3)}; taken as 0 (the key split needs no minimum reflux)`;
+            this.R_min = 0;
+        }
         this.results.R_min = this.R_min;
 
+        // Fenske vs Underwood non-key recoveries: flag differences above 5 points of recovery
+        const splits = comps.map(c => ({
+            name: c.name,
+            fenske: c.d_fenske / (this.F * c.z),
+            underwood: c.d / (this.F * c.z),
+            distributes: c.distributes
+        }));
+        const inconsistent = splits.filter((s, i) => i !== this.LK_index && i !== this.HK_index
+            && Math.abs(s.fenske - s.underwood) > 0.05).map(s => s.name);
+        this.results.underwood = {
+            thetas: thetas,
+            distributing: comps.filter(c => c.distributes).map(c => c.name),
+            splits: splits,
+            consistent: inconsistent.length === 0,
+            inconsistent: inconsistent
+        };
+        if (inconsistent.length) {
+            this.results.warning = (this.results.warning ? this.results.warning + '; ' : '')
+                + `Fenske and Underwood non-key splits disagree for ${inconsistent.join(', ')}`;
+        }
+
         // Operating Reflux
         this.R_op = this.R_factor * this.R_min;
         this.results.R_op = this.R_op;
     }
 
+    // Gaussian elimination with partial pivoting
+    solveLinear(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => row.concat([b[i]]));
+        for (let k = 0; k < n; k++) {
+            let p = k;
+            for (let i = k + 1; i < n; i++) if (Math.abs(M[i][k]) > Math.abs(M[p][k])) p = i;
+            [M[k], M[p]] = [M[p], M[k]];
+            for (let i = k + 1; i < n; i++) {
+                const f = M[i][k] / M[k][k];
+                for (let j = k; j <= n; j++) M[i][j] -= f * M[k][j];
+            }
+        }
+        const x = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let s = M[i][n];
+            for (let j = i + 1; j < n; j++) s -= M[i][j] * x[j];
+            x[i] = s / M[i][i];
+        }
+        return x;
+    }
+
     // 5. Gilliland (Actual Stages)
     calcGilliland() {
         // X = (R - Rmin) / (R + 1)
@@ -277,5 +588,173 @@ class FUGDesign {
     }
 }
 
+/**
+ * Rigorous Equilibrium-Stage Column (Wang-Henke Bubble-Point Method)
+ * Stage 1 = total condenser, stage N = partial reboiler; specs: R, D, N, feed stage.
+ * Starts from the FUG design (N_theo + condenser, Kirkbride feed stage, R_op, Underwood D).
+ * Each iteration: K(T) -> tridiagonal component balances (Thomas) -> normalized x ->
+ * bubble-point T per stage -> energy balances for V -> total balances for L.
+ */
+class WangHenke {
+    constructor(fug, spec = {}) {
+        this.fug = fug;
+        this.components = fug.components;
+        this.F = fug.F;
+        this.R = spec.R || fug.R_op;
+        this.D = spec.D || fug.D;
+        this.N = spec.N || Math.ceil(fug.N_theo) + 1;
+        this.feedStage = Math.min(Math.max(spec.feedStage || Math.round(fug.FeedStage) + 1, 2), this.N - 1);
+        this.maxIter = spec.maxIter || 100;
+
+        this.results = {};
+
+        this.solve();
+    }
+
+    // Liquid / vapor enthalpy (kJ/kmol, liquid at 0 C reference), latent heat from the Antoine slope
+    hL(x, T) {
+        return this.components.reduce((h, c, i) => h + x[i] * (c.Cp || 150) * T, 0);
+    }
+
+    HV(y, T) {
+        return this.components.reduce((h, c, i) => h + y[i] * ((c.Cp || 150) * T + this.fug.latentHeat(c, T)), 0);
+    }
+
+    // Feed enthalpy: from the flash when there is one, else from q at the feed bubble point
+    feedEnthalpy() {
+        const fug = this.fug;
+        if (fug.results.flash) return fug.flashEnthalpy(fug.flash(fug.T_feed, fug.P_feed));
+        const z = this.components.map(c => c.z);
+        const T_bub = fug.bubblePoint(z);
+        const lambda = this.components.reduce((s, c) => s + c.z * fug.latentHeat(c, T_bub), 0);
+        return this.hL(z, T_bub) + (1 - fug.q) * lambda;
+    }
+
+    // Thomas algorithm: a (sub), b (diag), c (super), d (rhs), all length N
+    thomas(a, b, c, d) {
+        const n = d.length;
+        const cp = new Array(n), dp = new Array(n), x = new Array(n);
+        cp[0] = c[0] / b[0];
+        dp[0] = d[0] / b[0];
+        for (let i = 1; i < n; i++) {
+            const m = b[i] - a[i] * cp[i - 1];
+            cp[i] = c[i] / m;
+            dp[i] = (d[i] - a[i] * dp[i - 1]) / m;
+        }
+        x[n - 1] = dp[n - 1];
+        for (let i = n - 2; i >= 0; i--) x[i] = dp[i] - cp[i] * x[i + 1];
+        return x;
+    }
+
+    solve() {
+        const fug = this.fug;
+        const comps = this.components;
+        const nc = comps.length, N = this.N, jF = this.feedStage - 1; // 0-based feed index
+        const F = this.F, D = this.D, B = F - D;
+        const z = comps.map(c => c.z);
+
+        // Same thermodynamics as the design it checks: fixed-alpha designs are not compared against Antoine K
+        if (fug.kvalues !== 'antoine' || !fug.hasAntoine()) {
+            this.results.warning = "Rigorous check needs Antoine K-values (constants for every component) in the FUG design";
+            return;
+        }
+
+        // Net feed above / at stage j (0-based): F for j >= feed, less the distillate from stage 1
+        const netAbove = (j) => (j > jF ? F : 0) - (j > 0 ? D : 0);  // Sum_{m<j} (F_m - U_m)
+        const netTo = (j) => (j >= jF ? F : 0) - D;                  // Sum_{m<=j} (F_m - U_m)
+
+        // Initial guesses: linear T between the product bubble points, constant molal overflow
+        const T_top = fug.bubblePoint(comps.map(c => c.xD));
+        const T_bot = fug.bubblePoint(comps.map(c => c.xB));
+        let T = Array.from({ length: N }, (_, j) => T_top + (T_bot - T_top) * j / (N - 1));
+        const V_rect = (this.R + 1) * D, V_strip = V_rect - (1 - fug.q) * F;
+        let V = Array.from({ length: N }, (_, j) => j === 0 ? 0 : j <= jF ? V_rect : V_strip);
+        let L = V.map((_, j) => j < N - 1 ? V[j + 1] + netTo(j) : B);
+        const hF = this.feedEnthalpy();
+
+        let x = [], y = [], converged = false, iter = 0;
+        for (iter = 1; iter <= this.maxIter; iter++) {
+            // Component balances: A x_{j-1} + B x_j + C x_{j+1} = -F_j z
+            const K = T.map(Tj => comps.map(c => fug.Kvalue(c, Tj)));
+            const xs = comps.map((c, i) => {
+                const a = [], b = [], cc = [], d = [];
+                for (let j = 0; j < N; j++) {
+                    const Vn = j < N - 1 ? V[j + 1] : 0;
+                    a.push(j > 0 ? V[j] + netAbove(j) : 0);
+                    b.push(-(Vn + netTo(j) + (j === 0 ? D : 0) + V[j] * K[j][i]));
+                    cc.push(j < N - 1 ? Vn * K[j + 1][i] : 0);
+                    d.push(j === jF ? -F * z[i] : 0);
+                }
+                return this.thomas(a, b, cc, d);
+            });
+
+            // Normalize (negative flows clipped), new bubble-point temperatures
+            x = Array.from({ length: N }, (_, j) => {
+                const col = xs.map(xi => Math.max(xi[j], 0));
+                const s = col.reduce((p, q) => p + q, 0);
+                return col.map(v => v / s);
+            });
+            const T_new = x.map(xj => fug.bubblePoint(xj));
+            y = T_new.map((Tj, j) => {
+                const yj = comps.map((c, i) => fug.Kvalue(c, Tj) * x[j][i]);
+                const s = yj.reduce((p, q) => p + q, 0);
+                return yj.map(v => v / s);
+            });
+
+            // Energy balances: V_{j+1} = (gamma_j - alpha_j V_j) / beta_j, stages 2 .. N-1
+            const h = x.map((xj, j) => this.hL(xj, T_new[j]));
+            const H = y.map((yj, j) => this.HV(yj, T_new[j]));
+            const V_new = V.slice();
+            V_new[1] = (this.R + 1) * D;
+            for (let j = 1; j < N - 1; j++) {
+                const alpha = h[j - 1] - H[j];
+                const beta = H[j + 1] - h[j];
+                const gamma = netAbove(j) * (h[j] - h[j - 1]) + (j === jF ? F * (h[j] - hF) : 0);
+                V_new[j + 1] = (gamma - alpha * V_new[j]) / beta;
+            }
+            L = V_new.map((_, j) => j < N - 1 ? V_new[j + 1] + netTo(j) : B);
+
+            // Convergence: Sum (dT)^2 <= 0.01 N
+            const tau = T_new.reduce((s, Tj, j) => s + Math.pow(Tj - T[j], 2), 0);
+            T = T_new;
+            V = V_new;
+            if (tau <= 0.01 * N) {
+                converged = true;
+                break;
+            }
+        }
+
+        // Duties: condenser from its balance, reboiler from the overall balance
+        const h = x.map((xj, j) => this.hL(xj, T[j]));
+        const H = y.map((yj, j) => this.HV(yj, T[j]));
+        const Q_C = V[1] * H[1] - (L[0] + D) * h[0];
+        const Q_R = D * h[0] + B * h[N - 1] + Q_C - F * hF;
+
+        // Achieved vs specified key recoveries (fraction of feed to distillate)
+        const LK = fug.LK_index, HK = fug.HK_index;
+        const rec = (i) => D * x[0][i] / (F * z[i]);
+
+        this.results = {
+            N: N,
+            feedStage: this.feedStage,
+            R: this.R,
+            D: D,
+            B: B,
+            iterations: Math.min(iter, this.maxIter),
+            converged: converged,
+            profile: T.map((Tj, j) => ({ stage: j + 1, T: Tj, L: L[j], V: V[j], x: x[j], y: y[j] })),
+            Q_C: Q_C / 3600, // kW
+            Q_R: Q_R / 3600, // kW
+            products: comps.map((c, i) => ({ name: c.name, xD: x[0][i], xB: x[N - 1][i], recovery: rec(i) })),
+            recovery: {
+                LK: { spec: fug.recovery_LK, achieved: rec(LK) },
+                HK: { spec: fug.recovery_HK, achieved: rec(HK) }
+            }
+        };
+        if (!converged) this.results.warning = `Wang-Henke not converged in ${this.maxIter} iterations`;
+    }
+}
+
 // Expose
 window.FUGDesign = FUGDesign;
+window.WangHenke = WangHenke;
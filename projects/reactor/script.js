@@ -3,17 +3,101 @@
  * 
  * Features:
  * - Kinetics Analysis: Arrhenius Law, Power Law Rate Expressions
+ * - Catalytic Kinetics: Langmuir-Hinshelwood / Eley-Rideal, Thiele Effectiveness Factor
+ * - Parameter Estimation: Differential / Integral / Nonlinear LSQ from Lab Data
+ * - Reaction Networks: Series / Parallel, Selectivity & Yield
  * - CSTR Design: Algebraic Solver (V = F0*X/-rA)
- * - PFR Design: Numerical Integration (Runge-Kutta 4th Order) for dX/dV
+ * - PFR Design: Adaptive Runge-Kutta (Dormand-Prince 5(4)) Integration for dX/dV
+ * - Inverse Sizing: Volume / Residence Time for a Target Conversion
+ * - Gas Phase: Expansion Factor eps, T & P Corrections, Packed Bed with Ergun dP vs W
+ * - Energy Balance: Non-isothermal / Adiabatic CSTR & PFR with coolant UA
+ * - CSTR Stability: G(T)/R(T) Multiple Steady States, Ignition & Extinction
+ * - Reversible Kinetics: Van't Hoff Kc(T), Equilibrium Limit, Optimal T Progression
  * - Batch Design: Integration for dX/dt
+ * - Semi-Batch: Constant / Ramp / Piecewise Feed, Heat Release vs Cooling Capacity
+ * - Reactor Trains: CSTRs in Series, Mixed PFR/CSTR, Levenspiel Plot
+ * - Non-Ideal Reactors: RTD Moments, Tanks-in-Series, Axial Dispersion, Segregation
  */
 
+// --- Numerical Helpers ---
+
+// Gaussian elimination with partial pivoting (returns null if singular)
+function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let c = 0; c < n; c++) {
+        let piv = c;
+        for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[piv][c])) piv = r;
+        if (Math.abs(M[piv][c]) < 1e-300) return null;
+        [M[c], M[piv]] = [M[piv], M[c]];
+        for (let r = c + 1; r < n; r++) {
+            const f = M[r][c] / M[c][c];
+            for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+        }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+        let sum = M[r][n];
+        for (let k = r + 1; k < n; k++) sum -= M[r][k] * x[k];
+        x[r] = sum / M[r][r];
+    }
+    return x;
+}
+
+// Student-t 97.5% quantile (two-sided 95% confidence intervals)
+function tQuantile975(dof) {
+    const table = [Infinity, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228];
+    if (dof < 1) return Infinity;
+    if (dof <= 10) return table[Math.round(dof)];
+    // Cornish-Fisher expansion about z
+    const z = 1.959964;
+    return z + (z ** 3 + z) / (4 * dof) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * dof ** 2);
+}
+
+// Ordinary least squares: y = X * beta, with standard errors and 95% CIs
+function linearRegression(X, y) {
+    if (!X.length || X.length < X[0].length) return null; // Fewer points than parameters
+    const m = y.length, p = X[0].length;
+    const XtX = [...Array(p)].map((_, i) => [...Array(p)].map((_, j) => X.reduce((a, row) => a + row[i] * row[j], 0)));
+    const Xty = [...Array(p)].map((_, i) => X.reduce((a, row, r) => a + row[i] * y[r], 0));
+    const beta = solveLinear(XtX, Xty);
+    if (!beta) return null;
+
+    const yhat = X.map(row => row.reduce((a, v, i) => a + v * beta[i], 0));
+    const resid = y.map((v, i) => v - yhat[i]);
+    const SSE = resid.reduce((a, r) => a + r * r, 0);
+    const ybar = y.reduce((a, v) => a + v, 0) / m;
+    const SST = y.reduce((a, v) => a + (v - ybar) ** 2, 0);
+    const dof = m - p;
+    const s2 = dof > 0 ? SSE / dof : 0;
+
+    // Covariance = s^2 * (X'X)^-1, column by column
+    const se = [...Array(p)].map((_, j) => {
+        const e = [...Array(p)].map((_, i) => (i === j ? 1 : 0));
+        const col = solveLinear(XtX, e);
+        return Math.sqrt(Math.max(s2 * col[j], 0));
+    });
+    const t = tQuantile975(dof);
+
+    return {
+        beta: beta,
+        se: se,
+        ci: se.map(v => t * v), // +/- half-width
+        resid: resid,
+        R2: SST > 0 ? 1 - SSE / SST : 1,
+        dof: dof
+    };
+}
+
 class Kinetics {
-    constructor(A, Ea, n) {
+    constructor(A, Ea, n, equilibrium) {
         this.A = A;   // Pre-exponential factor (units depend on n)
         this.Ea = Ea; // Activation Energy (J/mol)
         this.n = n;   // Reaction Order
         this.R = 8.314; // Gas Constant J/mol.K
+
+        // Optional reversible A <=> B: { K_ref, T_ref (K), dH_rxn (J/mol) }
+        this.equilibrium = equilibrium || null;
     }
 
     getK(T) {
@@ -22,112 +106,1519 @@ class Kinetics {
         return this.A * Math.exp(-this.Ea / (this.R * T));
     }
 
-    getRate(CA, T) {
-        // -rA = k * CA^n
+    getKc(T) {
+        // Van't Hoff: Kc = K_ref * exp(-dH/R * (1/T - 1/T_ref))
+        if (!this.equilibrium) return Infinity;
+        const eq = this.equilibrium;
+        return eq.K_ref * Math.exp(-eq.dH_rxn / this.R * (1 / T - 1 / eq.T_ref));
+    }
+
+    getKads(sp, T) {
+        // Adsorption equilibrium constant: K_i = K0_i * exp(-dH_ads_i / RT)
+        const a = this.ads && this.ads[sp];
+        if (!a) return 0;
+        return a.K0 * Math.exp(-(a.dH || 0) / (this.R * T));
+    }
+
+    getIntrinsicRate(CA, T, CB = 0) {
+        // -rA = k * CA^n                    (irreversible)
+        // -rA = k * (CA^n - CB^n / Kc)      (reversible A <=> B)
         const k = this.getK(T);
-        return k * Math.pow(CA, this.n);
+        if (!this.equilibrium) return k * Math.pow(CA, this.n);
+        return k * (Math.pow(CA, this.n) - Math.pow(CB, this.n) / this.getKc(T));
+    }
+
+    getRate(CA, T, CB = 0, CR = 0) {
+        // Observed rate: intrinsic rate times pellet effectiveness factor (if set)
+        const r = this.getIntrinsicRate(CA, T, CB, CR);
+        return this.pellet ? r * this.getEffectiveness(r, CA) : r;
+    }
+
+    // Per-volume view of a per-kg-catalyst law for the CSTR / PFR / batch solvers:
+    // -rA = rho_b * -r'A  (rho_b: catalyst bulk density, kg/L of reactor)
+    perVolume(rho_b) {
+        const view = Object.create(this);
+        view.getIntrinsicRate = (CA, T, CB, CR) => rho_b * this.getIntrinsicRate(CA, T, CB, CR);
+        view.getRate = (CA, T, CB, CR) => rho_b * this.getRate(CA, T, CB, CR);
+        return view;
+    }
+
+    setPellet(pellet) {
+        // Internal diffusion: { Rp (m), De (m2/s), rho_p (kg/m3 pellet) }
+        // Rates are per kg catalyst per min
+        this.pellet = pellet;
+        return this;
+    }
+
+    getEffectiveness(rate, CA) {
+        // Generalised Thiele modulus (sphere), first-order equivalent at local conditions:
+        // k_v = -r'A * rho_p / CA (1/s),  phi = Rp * sqrt(k_v / De)
+        // eta = 3/phi^2 * (phi*coth(phi) - 1)
+        if (!(rate > 0) || !(CA > 0)) return 1;
+        const p = this.pellet;
+        const k_v = (rate / 60) * p.rho_p / (CA * 1000); // mol/kg.min & mol/L -> 1/s
+        const phi = p.Rp * Math.sqrt(k_v / p.De);
+        if (phi < 1e-4) return 1;
+        return 3 / (phi * phi) * (phi / Math.tanh(phi) - 1);
+    }
+
+    getThieleModulus(rate, CA) {
+        if (!this.pellet || !(rate > 0) || !(CA > 0)) return 0;
+        const k_v = (rate / 60) * this.pellet.rho_p / (CA * 1000);
+        return this.pellet.Rp * Math.sqrt(k_v / this.pellet.De);
+    }
+
+    getEquilibriumConversion(T) {
+        // -rA = 0  =>  (X / (1-X))^n = Kc  (pure A feed)
+        if (!this.equilibrium) return 1;
+        const r = Math.pow(this.getKc(T), 1 / this.n);
+        return r / (1 + r);
+    }
+}
+
+class LangmuirHinshelwood extends Kinetics {
+    // Surface-reaction-controlled Hougen-Watson forms, rate per kg catalyst:
+    // 'unimolecular':  A(ads) -> B:        -r'A = k*KA*CA / (1 + KA*CA + KB*CB)
+    // 'bimolecular':   A(ads) + R(ads) -> B:
+    //                  -r'A = k*KA*KR*CA*CR / (1 + KA*CA + KR*CR + KB*CB)^2
+    // Adsorption: K_i(T) = K0_i * exp(-dH_ads_i / RT)
+    // ads = { A: { K0, dH }, B: { K0, dH }, R: { K0, dH } }
+    // theta_R: feed ratio of co-reactant R to A (bimolecular)
+    constructor(A, Ea, ads, form = 'unimolecular', theta_R = 1) {
+        super(A, Ea, 1);
+        this.ads = ads;
+        this.form = form;
+        this.theta_R = form === 'bimolecular' ? theta_R : 0;
+    }
+
+    getIntrinsicRate(CA, T, CB = 0, CR = 0) {
+        const k = this.getK(T);
+        const KA = this.getKads('A', T), KB = this.getKads('B', T), KR = this.getKads('R', T);
+        if (this.form === 'bimolecular') {
+            const den = 1 + KA * CA + KR * CR + KB * CB;
+            return k * KA * KR * CA * CR / (den * den);
+        }
+        return k * KA * CA / (1 + KA * CA + KB * CB);
+    }
+}
+
+class EleyRideal extends Kinetics {
+    // Adsorbed A reacts with gas-phase R, rate per kg catalyst:
+    // -r'A = k*KA*CA*CR / (1 + KA*CA + KB*CB)
+    // ads = { A: { K0, dH }, B: { K0, dH } }, theta_R: feed ratio R/A
+    constructor(A, Ea, ads, theta_R = 1) {
+        super(A, Ea, 1);
+        this.ads = ads;
+        this.theta_R = theta_R;
+    }
+
+    getIntrinsicRate(CA, T, CB = 0, CR = 0) {
+        const k = this.getK(T);
+        const KA = this.getKads('A', T), KB = this.getKads('B', T);
+        return k * KA * CA * CR / (1 + KA * CA + KB * CB);
+    }
+}
+
+class ReactionNetwork {
+    constructor(species, reactions) {
+        // species: ['A', 'B', 'C']
+        // reactions: [{ A, Ea, orders: { A: 1 }, stoich: { A: -1, B: 1 } }, ...]
+        // Rate of reaction j: r_j = k_j(T) * Product(C_i ^ order_ij)
+        this.species = species;
+        this.reactions = reactions.map(r => ({
+            kinetics: new Kinetics(r.A, r.Ea, 0),
+            orders: r.orders,
+            stoich: r.stoich
+        }));
+    }
+
+    // Preset: A -> B -> C
+    static series(r1, r2) {
+        return new ReactionNetwork(['A', 'B', 'C'], [
+            { A: r1.A, Ea: r1.Ea, orders: { A: r1.n }, stoich: { A: -1, B: 1 } },
+            { A: r2.A, Ea: r2.Ea, orders: { B: r2.n }, stoich: { B: -1, C: 1 } }
+        ]);
+    }
+
+    // Preset: A -> B, A -> C
+    static parallel(r1, r2) {
+        return new ReactionNetwork(['A', 'B', 'C'], [
+            { A: r1.A, Ea: r1.Ea, orders: { A: r1.n }, stoich: { A: -1, B: 1 } },
+            { A: r2.A, Ea: r2.Ea, orders: { A: r2.n }, stoich: { A: -1, C: 1 } }
+        ]);
+    }
+
+    // Preset: A -> B -> C with A -> D
+    static seriesParallel(r1, r2, r3) {
+        return new ReactionNetwork(['A', 'B', 'C', 'D'], [
+            { A: r1.A, Ea: r1.Ea, orders: { A: r1.n }, stoich: { A: -1, B: 1 } },
+            { A: r2.A, Ea: r2.Ea, orders: { B: r2.n }, stoich: { B: -1, C: 1 } },
+            { A: r3.A, Ea: r3.Ea, orders: { A: r3.n }, stoich: { A: -1, D: 1 } }
+        ]);
+    }
+
+    // Rate of each reaction (mol/L.time)
+    getReactionRates(C, T) {
+        return this.reactions.map(rx => {
+            let r = rx.kinetics.getK(T);
+            Object.keys(rx.orders).forEach(sp => {
+                r *= Math.pow(Math.max(C[sp] || 0, 0), rx.orders[sp]);
+            });
+            return r;
+        });
+    }
+
+    // Net formation rate of each species: R_i = Sum(nu_ij * r_j)
+    getSpeciesRates(C, T) {
+        const rates = this.getReactionRates(C, T);
+        const R = {};
+        this.species.forEach(sp => R[sp] = 0);
+        this.reactions.forEach((rx, j) => {
+            Object.keys(rx.stoich).forEach(sp => {
+                R[sp] += rx.stoich[sp] * rates[j];
+            });
+        });
+        return R;
+    }
+
+    // Gross formation rate of each species: Sum(nu_ij * r_j) over reactions producing it (nu_ij > 0)
+    getFormationRates(C, T) {
+        const rates = this.getReactionRates(C, T);
+        const Rf = {};
+        this.species.forEach(sp => Rf[sp] = 0);
+        this.reactions.forEach((rx, j) => {
+            Object.keys(rx.stoich).forEach(sp => {
+                if (rx.stoich[sp] > 0) Rf[sp] += rx.stoich[sp] * rates[j];
+            });
+        });
+        return Rf;
     }
 }
 
 class ReactorSolver {
     constructor() {
-        this.steps = 50; // Integration resolution
+        this.steps = 50;   // Output resolution (profile points)
+        this.rtol = 1e-8;  // Adaptive integrator relative tolerance
+        this.atol = 1e-12; // Adaptive integrator absolute tolerance
     }
 
-    // 1. CSTR Solver (Algebraic)
-    solveCSTR(V, v0, CA0, kinetics, T) {
-        // Balance: V = (v0 * CA0 * X) / -rA_exit
-        // -rA_exit = k * (CA0 * (1-X))^n
-        // This is implicit for n != 0 or 1.
-        // For simple v1, we assume Isothermal.
+    // Adaptive Dormand-Prince RK5(4) from x0 to x1 for y' = f(y, x)
+    // Step size is controlled on the embedded 4th-order error estimate.
+    integrate(f, y0, x0, x1, clamp) {
+        const c = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+        const a = [
+            [],
+            [1 / 5],
+            [3 / 40, 9 / 40],
+            [44 / 45, -56 / 15, 32 / 9],
+            [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+            [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+            [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+        ];
+        const b5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+        const b4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
 
-        // Iterative solution for X (Newton-Raphson or Bisection)
-        // f(X) = V - (F0*X) / (k * (CA0(1-X))^n ) = 0
+        const span = x1 - x0;
+        if (span === 0) return y0.slice();
+        if (!isFinite(span)) return y0.map(() => NaN);
+        const fix = clamp || ((y) => y);
 
-        const k = kinetics.getK(T);
-        const F0 = v0 * CA0;
+        let x = x0;
+        let y = y0.slice();
+        let h = span / 10;
+        let nIter = 0; // accepted + rejected steps
 
-        let X = 0.5; // Guess
-        let diff = 1;
-        let iter = 0;
+        while ((x1 - x) * Math.sign(span) > 0 && nIter < 20000) {
+            nIter++;
+            // Step size collapsed (stiff / singular): give up rather than crawl
+            if (Math.abs(h) < 1e-14 * Math.abs(span)) return y.map(() => NaN);
+            if ((x + h - x1) * Math.sign(span) > 0) h = x1 - x;
 
-        while (Math.abs(diff) > 1e-5 && iter < 100) {
-            let rate = k * Math.pow(CA0 * (1 - X), kinetics.n);
-            let V_calc = (F0 * X) / rate;
+            const K = [];
+            for (let s = 0; s < 7; s++) {
+                const ys = y.map((v, i) => v + h * a[s].reduce((acc, aij, j) => acc + aij * K[j][i], 0));
+                K.push(f(fix(ys), x + c[s] * h));
+            }
+            const y5 = y.map((v, i) => v + h * b5.reduce((acc, bj, j) => acc + bj * K[j][i], 0));
+            const y4 = y.map((v, i) => v + h * b4.reduce((acc, bj, j) => acc + bj * K[j][i], 0));
 
-            // Simple secant/relaxation step
-            let err = V - V_calc;
+            // Scaled RMS error
+            const err = Math.sqrt(y5.reduce((acc, v, i) => {
+                const sc = this.atol + this.rtol * Math.max(Math.abs(v), Math.abs(y[i]));
+                return acc + ((v - y4[i]) / sc) ** 2;
+            }, 0) / y.length);
 
-            // If V_calc > V, we need less conversion. X decreases.
-            // If V_calc < V, we need more conversion. X increases.
-            // But kinetics are non-linear. Let's use simple bisection search for robustness.
-            break;
+            if (err <= 1) {
+                x += h;
+                y = fix(y5);
+                if (!y.every(Number.isFinite)) return y; // e.g. rate -> 0 at equilibrium
+            }
+            const factor = isFinite(err) ? 0.9 * Math.pow(Math.max(err, 1e-10), -1 / 5) : 0.1;
+            h *= Math.min(5, Math.max(0.1, factor));
         }
 
-        // Bisection Search for X in [0, 0.999]
-        let low = 0, high = 0.999;
+        // Iteration budget exhausted before x1 (e.g. creeping up on a singularity)
+        if ((x1 - x) * Math.sign(span) > 0) return y.map(() => NaN);
+
+        return y;
+    }
+
+    // Classic RK4 step for a state vector y' = f(y)
+    rk4Step(f, y, h) {
+        const k1 = f(y);
+        const k2 = f(y.map((v, i) => v + 0.5 * h * k1[i]));
+        const k3 = f(y.map((v, i) => v + 0.5 * h * k2[i]));
+        const k4 = f(y.map((v, i) => v + h * k3[i]));
+        return y.map((v, i) => v + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+    }
+
+    // Adiabatic temperature rise: dT_ad = (-dH) * CA0 / (rho*Cp)
+    adiabaticRise(CA0, energy) {
+        return (-energy.dH_rxn) * CA0 / energy.rhoCp;
+    }
+
+    // Concentrations at conversion X (A feed, A (+ R) -> B)
+    // Liquid: CA = CA0*(1-X), CR = CA0*(theta_R - X)
+    // Gas:    CA = CA0*(1-X)/(1+eps*X) * (P/P0) * (T0/T),  gas = { eps, T0 }, y = P/P0
+    concentrations(CA0, X, T, gas, y = 1, theta_R = 0) {
+        const f = gas ? y * (gas.T0 / T) / (1 + (gas.eps || 0) * X) : 1;
+        return {
+            CA: CA0 * (1 - X) * f,
+            CB: CA0 * X * f,
+            CR: theta_R ? CA0 * Math.max(theta_R - X, 0) * f : 0
+        };
+    }
+
+    rateAtX(kinetics, CA0, X, T, gas, y = 1) {
+        const c = this.concentrations(CA0, X, T, gas, y, kinetics.theta_R || 0);
+        return kinetics.getRate(c.CA, T, c.CB, c.CR);
+    }
+
+    // 1a. CSTR Mole Balance at fixed T (Bisection)
+    cstrConversion(V, v0, CA0, kinetics, T, X_in = 0, gas) {
+        // Balance: V = (v0 * CA0 * (X - X_in)) / -rA_exit
+        // -rA_exit = k * (CA0 * (1-X))^n
+        // This is implicit for n != 0 or 1, so bisect for robustness.
+        // X_in: conversion entering (reactor trains), based on fresh feed CA0
+        const F0 = v0 * CA0;
+
+        // Bisection Search for X in [X_in, min(0.999, X_eq)]
+        let X = 0.5;
+        let low = X_in, high = Math.max(Math.min(0.999, kinetics.getEquilibriumConversion(T)), X_in);
         for (let i = 0; i < 50; i++) {
             X = (low + high) / 2;
-            let rate = k * Math.pow(CA0 * (1 - X), kinetics.n);
-            let V_req = (F0 * X) / rate;
+            let rate = this.rateAtX(kinetics, CA0, X, T, gas);
+            let V_req = (F0 * (X - X_in)) / rate;
 
-            if (V_req < V) low = X; // Need more volume to reach this X, or rather with fixed V, we can achieve higher X
+            if (V_req < V) low = X; // With fixed V, we can achieve higher X
             else high = X;
         }
+        return X;
+    }
 
-        const finalRate = k * Math.pow(CA0 * (1 - X), kinetics.n);
-        return {
+    // 1. CSTR Solver (Algebraic)
+    solveCSTR(V, v0, CA0, kinetics, T, energy, X_in = 0, gas) {
+        // Isothermal unless an energy balance is supplied:
+        // energy = { dH_rxn (J/mol), rhoCp (J/L.K), UA (J/min.K), Ta (K) }
+        // With energy, T is the feed temperature T0.
+        // X_in: conversion of the entering stream (reactor trains)
+        // gas: { eps, T0 } for gas-phase volume change (T0 defaults to feed T)
+        if (gas) gas = { ...gas, T0: gas.T0 || T };
+        const F0 = v0 * CA0;
+        let T_out = T;
+        let X;
+
+        let steadyStates;
+        let warning;
+        if (energy && !energy.dH_rxn) {
+            // No heat of reaction: T_out is set by coolant exchange alone (= T0 when UA = 0)
+            const UA = energy.UA || 0;
+            const Ta = energy.Ta !== undefined ? energy.Ta : T;
+            T_out = (v0 * energy.rhoCp * T + UA * Ta) / (v0 * energy.rhoCp + UA);
+            steadyStates = [{ T: T_out, X: this.cstrConversion(V, v0, CA0, kinetics, T_out, X_in, gas), stable: true }];
+        } else if (energy) {
+            // Lowest-temperature steady state is the one reached on start-up
+            // from cold feed; all of them are reported alongside.
+            steadyStates = this.findSteadyStates(V, v0, CA0, kinetics, T, energy, X_in, gas).states;
+            if (steadyStates.length) T_out = steadyStates[0].T;
+            else warning = "No steady state found in the scanned temperature range; outlet shown at feed T.";
+        }
+
+        X = this.cstrConversion(V, v0, CA0, kinetics, T_out, X_in, gas);
+        const k = kinetics.getK(T_out);
+        const finalRate = this.rateAtX(kinetics, CA0, X, T_out, gas);
+        const result = {
             X: X,
-            CA: CA0 * (1 - X),
+            CA: this.concentrations(CA0, X, T_out, gas).CA,
             rate: finalRate,
             tau: V / v0,
-            k: k
+            k: k,
+            T: T_out,
+            X_eq: kinetics.getEquilibriumConversion(T_out) // Upper bound
+        };
+
+        if (energy) {
+            result.dT_ad = this.adiabaticRise(CA0, energy);
+            result.Q_removed = (energy.UA || 0) * (T_out - (energy.Ta !== undefined ? energy.Ta : T)); // J/min
+            result.steadyStates = steadyStates;
+            result.multiple = steadyStates.length > 1;
+        }
+        if (warning) result.warning = warning;
+
+        return result;
+    }
+
+    // 1c. CSTR Multiple Steady States (Heat Generation vs Heat Removal)
+    findSteadyStates(V, v0, CA0, kinetics, T0, energy, X_in = 0, gas, nScan = 400) {
+        // G(T) = (-dH) * F0 * (X_MB(T) - X_in)  (mole balance at T)
+        // R(T) = v0*rhoCp*(T - T0) + UA*(T - Ta)
+        // Steady states: G(T) = R(T)
+        // Slope criterion: stable if dR/dT > dG/dT at the intersection
+        const F0 = v0 * CA0;
+        const UA = energy.UA || 0;
+        const Ta = energy.Ta !== undefined ? energy.Ta : T0;
+        if (gas) gas = { ...gas, T0: gas.T0 || T0 };
+        const G = (T) => (-energy.dH_rxn) * F0 * (this.cstrConversion(V, v0, CA0, kinetics, T, X_in, gas) - X_in);
+        const R = (T) => v0 * energy.rhoCp * (T - T0) + UA * (T - Ta);
+        const f = (T) => G(T) - R(T);
+
+        const dT_ad = Math.abs(this.adiabaticRise(CA0, energy));
+        const T_lo = Math.min(T0, Ta) - dT_ad - 1;
+        const T_hi = Math.max(T0, Ta) + dT_ad + 1;
+        const dTs = (T_hi - T_lo) / nScan;
+
+        const curve = [];
+        const states = [];
+        let lo = T_lo, f_lo = f(T_lo);
+        curve.push({ T: T_lo, G: G(T_lo), R: R(T_lo) });
+
+        for (let i = 1; i <= nScan; i++) {
+            const hi = T_lo + i * dTs;
+            const f_hi = f(hi);
+            curve.push({ T: hi, G: f_hi + R(hi), R: R(hi) });
+
+            if (f_lo * f_hi < 0 || f_hi === 0) {
+                // Bisection within the bracket
+                let a = lo, b = hi, fa = f_lo;
+                for (let j = 0; j < 50; j++) {
+                    const m = (a + b) / 2;
+                    const fm = f(m);
+                    if (fa * fm <= 0) b = m;
+                    else { a = m; fa = fm; }
+                }
+                const Tss = (a + b) / 2;
+                const h = 1e-3 * dTs;
+                const dG = (G(Tss + h) - G(Tss - h)) / (2 * h);
+                const dR = v0 * energy.rhoCp + UA;
+                states.push({
+                    T: Tss,
+                    X: this.cstrConversion(V, v0, CA0, kinetics, Tss, X_in, gas),
+                    stable: dR > dG
+                });
+            }
+            lo = hi;
+            f_lo = f_hi;
+        }
+
+        return { states: states, curve: curve };
+    }
+
+    // Ignition / Extinction: steady-state T vs feed temperature T0
+    ignitionExtinction(V, v0, CA0, kinetics, energy, T0_min, T0_max, nPts = 60, gas) {
+        // gas: { eps }; each scanned feed temperature is its own reference T0
+        const count = (T0) => this.findSteadyStates(V, v0, CA0, kinetics, T0, energy, 0, gas, 200).states.length;
+        const points = [];
+        const multi = [];
+
+        for (let i = 0; i <= nPts; i++) {
+            const T0 = T0_min + (T0_max - T0_min) * i / nPts;
+            const ss = this.findSteadyStates(V, v0, CA0, kinetics, T0, energy, 0, gas, 200).states;
+            ss.forEach(st => points.push({ T0: T0, T: st.T, X: st.X, stable: st.stable }));
+            multi.push(ss.length > 1);
+        }
+
+        // Edges of the multiplicity window, refined by bisection
+        const refine = (a, b, multiAtA) => {
+            for (let j = 0; j < 30; j++) {
+                const m = (a + b) / 2;
+                if ((count(m) > 1) === multiAtA) a = m;
+                else b = m;
+            }
+            return (a + b) / 2;
         };
+
+        let T0_extinction = null, T0_ignition = null;
+        const step = (T0_max - T0_min) / nPts;
+        for (let i = 1; i <= nPts; i++) {
+            const Ta = T0_min + (i - 1) * step, Tb = T0_min + i * step;
+            // Entering the window from below: upper branch appears (extinction on cooling)
+            if (!multi[i - 1] && multi[i] && T0_extinction === null) T0_extinction = refine(Ta, Tb, false);
+            // Leaving the window: lower branch disappears (ignition on heating)
+            if (multi[i - 1] && !multi[i]) T0_ignition = refine(Ta, Tb, true);
+        }
+
+        return { points: points, T0_ignition: T0_ignition, T0_extinction: T0_extinction };
     }
 
     // 2. PFR Solver (Numerical Integration)
-    solvePFR(TotalV, v0, CA0, kinetics, T) {
+    solvePFR(TotalV, v0, CA0, kinetics, T, energy, X_in = 0, gas) {
         // dV = F0 * dX / -rA
         // dX/dV = -rA / F0
+        // With energy: dT/dV = [(-dH)(-rA) - Ua*(T - Ta)] / (v0 * rhoCp)
+        // where Ua = UA / TotalV (heat transfer per unit volume)
         // Integrate from V=0 to TotalV
+        // gas: { eps, T0 } for gas-phase volume change (T0 defaults to feed T)
 
+        if (gas) gas = { ...gas, T0: gas.T0 || T };
         const F0 = v0 * CA0;
+        const dV = TotalV / this.steps;
+        const clampX = ([x, Tr]) => [Math.min(Math.max(x, 0), 0.9999), Tr];
+        const Ua = energy && energy.UA ? energy.UA / TotalV : 0;
+        const Ta = energy && energy.Ta !== undefined ? energy.Ta : T;
+
+        const getDeriv = ([x, Tr]) => {
+            const xc = Math.min(x, 0.9999);
+            const rate = this.rateAtX(kinetics, CA0, xc, Tr, gas);
+            const dXdV = rate / F0;
+            const dTdV = energy ? ((-energy.dH_rxn) * rate - Ua * (Tr - Ta)) / (v0 * energy.rhoCp) : 0;
+            return [dXdV, dTdV];
+        };
+
         let V = 0;
+        let y = [X_in, T];
+        const data = []; // To plot profiles
+
+        for (let i = 0; i <= this.steps; i++) {
+            // Save state
+            data.push({
+                V: V,
+                X: y[0],
+                CA: this.concentrations(CA0, y[0], y[1], gas).CA,
+                Rate: this.rateAtX(kinetics, CA0, y[0], y[1], gas),
+                T: y[1],
+                X_eq: kinetics.getEquilibriumConversion(y[1])
+            });
+
+            // Adaptive sub-steps between output points
+            y = this.integrate(getDeriv, y, V, V + dV, clampX);
+            V += dV;
+        }
+
+        return data;
+    }
+
+    // 2c. Packed Bed (PBR): Ergun pressure drop, integrated over catalyst weight W
+    solvePBR(W_total, v0, CA0, kinetics, T, bed, energy, gas) {
+        // Rate from kinetics is taken per kg catalyst: -r'A (mol/kg.min)
+        // dX/dW = -r'A / F0
+        // dy/dW = -alpha/(2y) * (1 + eps*X) * (T/T0),  y = P/P0
+        // Ergun: beta0 = G(1-phi)/(rho0*Dp*phi^3) * [150(1-phi)mu/Dp + 1.75G]
+        //        alpha = 2*beta0 / (Ac*rho_c*(1-phi)*P0)
+        // bed = { Dp (m), phi, rho_cat (kg/m3 solid), Ac (m2), mu (Pa.s), rho0 (kg/m3), P0 (Pa) }
+        //       or { alpha (1/kg), P0 } directly
+        // gas: { eps } for the gas phase; a liquid feed keeps CA independent of y (y is reported only)
+        bed = bed || { alpha: 0 };
+        const F0 = v0 * CA0;
+        if (gas) gas = { ...gas, T0: gas.T0 || T };
+        const eps = gas ? gas.eps || 0 : 0;
+
+        let alpha = bed.alpha;
+        if (alpha === undefined) {
+            const mdot = bed.rho0 * v0 / 1000 / 60; // kg/s from L/min
+            const G = mdot / bed.Ac;                // kg/m2.s
+            const beta0 = G * (1 - bed.phi) / (bed.rho0 * bed.Dp * Math.pow(bed.phi, 3)) *
+                (150 * (1 - bed.phi) * bed.mu / bed.Dp + 1.75 * G); // Pa/m
+            alpha = 2 * beta0 / (bed.Ac * bed.rho_cat * (1 - bed.phi) * bed.P0);
+        }
+
+        const Ua = energy && energy.UA ? energy.UA / W_total : 0;
+        const Ta = energy && energy.Ta !== undefined ? energy.Ta : T;
+        const clamp = ([x, p, Tr]) => [Math.min(Math.max(x, 0), 0.9999), Math.max(p, 1e-4), Tr];
+
+        const getDeriv = ([x, p, Tr]) => {
+            const rate = this.rateAtX(kinetics, CA0, x, Tr, gas, p);
+            return [
+                rate / F0,
+                -alpha / (2 * p) * (1 + eps * x) * (Tr / T),
+                energy ? ((-energy.dH_rxn) * rate - Ua * (Tr - Ta)) / (v0 * energy.rhoCp) : 0
+            ];
+        };
+
+        const dW = W_total / this.steps;
+        let W = 0;
+        let y = [0, 1, T];
+        const data = [];
+
+        for (let i = 0; i <= this.steps; i++) {
+            const c = this.concentrations(CA0, y[0], y[2], gas, y[1], kinetics.theta_R || 0);
+            const r_int = kinetics.getIntrinsicRate(c.CA, y[2], c.CB, c.CR);
+            data.push({
+                W: W,
+                X: y[0],
+                y: y[1],
+                P: y[1] * (bed.P0 || 1),
+                CA: c.CA,
+                Rate: this.rateAtX(kinetics, CA0, y[0], y[2], gas, y[1]),
+                T: y[2],
+                eta: kinetics.pellet ? kinetics.getEffectiveness(r_int, c.CA) : 1,
+                thiele: kinetics.getThieleModulus(r_int, c.CA)
+            });
+
+            y = this.integrate(getDeriv, y, W, W + dW, clamp);
+            W += dW;
+        }
+
+        const result = { data: data, alpha: alpha };
+
+        // Pressure driven (near) to zero: bed too long or too narrow
+        if (data[this.steps].y <= 1e-3) result.warning = "Pressure falls to ~0 inside the bed (increase Ac or Dp).";
+
+        return result;
+    }
+
+    // 4. Reactor Train: units = [{ type: 'CSTR' | 'PFR', V }, ...] in flow order
+    solveTrain(units, v0, CA0, kinetics, T, energy, gas) {
         let X = 0;
+        let T_in = T;
+        const stages = units.map(u => {
+            const X_in = X;
+            let profile = null;
+            if (u.type === 'CSTR') {
+                const res = this.solveCSTR(u.V, v0, CA0, kinetics, T_in, energy, X_in, gas && { T0: T, ...gas });
+                X = res.X;
+                T_in = res.T;
+            } else {
+                profile = this.solvePFR(u.V, v0, CA0, kinetics, T_in, energy, X_in, gas && { T0: T, ...gas });
+                X = profile[profile.length - 1].X;
+                T_in = profile[profile.length - 1].T;
+            }
+            return { type: u.type, V: u.V, X_in: X_in, X_out: X, T_out: T_in, profile: profile };
+        });
+
+        return {
+            stages: stages,
+            X: X,
+            V_total: units.reduce((a, u) => a + u.V, 0)
+        };
+    }
+
+    // Total volume of a train (volume fractions fixed) to reach X_target
+    sizeTrain(types, fractions, v0, CA0, kinetics, T, X_target, energy, gas) {
+        const build = (Vt) => types.map((type, i) => ({ type: type, V: Vt * fractions[i] }));
+        const X_of = (Vt) => this.solveTrain(build(Vt), v0, CA0, kinetics, T, energy, gas).X;
+
+        // Target at or beyond equilibrium: no finite volume reaches it
+        if (X_target >= kinetics.getEquilibriumConversion(T)) return Infinity;
+
+        // Bracket by doubling, then bisect on log(V)
+        let lo = 1e-6, hi = 1;
+        let guard = 0;
+        while (X_of(hi) < X_target && guard < 60) { lo = hi; hi *= 2; guard++; }
+        if (guard >= 60) return Infinity; // e.g. beyond equilibrium
+
+        for (let i = 0; i < 50; i++) {
+            const mid = Math.sqrt(lo * hi);
+            if (X_of(mid) < X_target) lo = mid;
+            else hi = mid;
+        }
+        return hi;
+    }
+
+    // Standard arrangements compared at the same target conversion
+    compareArrangements(v0, CA0, kinetics, T, X_target, energy, gas) {
+        const layouts = [
+            { name: 'Single PFR', types: ['PFR'], fractions: [1] },
+            { name: 'Single CSTR', types: ['CSTR'], fractions: [1] },
+            { name: '2 Equal CSTRs', types: ['CSTR', 'CSTR'], fractions: [0.5, 0.5] },
+            { name: '3 Equal CSTRs', types: ['CSTR', 'CSTR', 'CSTR'], fractions: [1 / 3, 1 / 3, 1 / 3] },
+            { name: '5 Equal CSTRs', types: Array(5).fill('CSTR'), fractions: Array(5).fill(0.2) },
+            { name: 'CSTR → PFR (1:1)', types: ['CSTR', 'PFR'], fractions: [0.5, 0.5] },
+            { name: 'PFR → CSTR (1:1)', types: ['PFR', 'CSTR'], fractions: [0.5, 0.5] }
+        ];
+        return layouts.map(l => ({
+            name: l.name,
+            V_total: this.sizeTrain(l.types, l.fractions, v0, CA0, kinetics, T, X_target, energy, gas)
+        }));
+    }
+
+    // Levenspiel curve: F_A0 / -rA vs X (isothermal at T)
+    levenspielCurve(v0, CA0, kinetics, T, X_max, nPts = 100, gas) {
+        const F0 = v0 * CA0;
+        if (gas) gas = { ...gas, T0: gas.T0 || T };
+        const pts = [];
+        const X_hi = Math.min(X_max, 0.999 * kinetics.getEquilibriumConversion(T));
+        for (let i = 0; i <= nPts; i++) {
+            const X = X_hi * i / nPts;
+            pts.push({ X: X, y: F0 / this.rateAtX(kinetics, CA0, X, T, gas) });
+        }
+        return pts;
+    }
+
+    // 2b. Reaction Network PFR (all species)
+    solveNetworkPFR(TotalV, v0, C0, network, T) {
+        // dCi/dV = R_i / v0  (constant density)
+        const sp = network.species;
         const dV = TotalV / this.steps;
+        const toObj = (y) => {
+            const C = {};
+            sp.forEach((s, i) => C[s] = Math.max(y[i], 0));
+            return C;
+        };
+        const getDeriv = (y) => {
+            const R = network.getSpeciesRates(toObj(y), T);
+            return sp.map(s => R[s] / v0);
+        };
 
-        const data = []; // To plot profiles
+        let V = 0;
+        let y = sp.map(s => C0[s] || 0);
+        const data = [];
 
         for (let i = 0; i <= this.steps; i++) {
-            // RK4 calculation for better accuracy
-            // k1 = f(X, V)
-            const getDeriv = (x_conf) => {
-                let rate = kinetics.getRate(CA0 * (1 - x_conf), T);
-                return rate / F0; // dX/dV
+            const C = toObj(y);
+            data.push({ V: V, tau: V / v0, C: C, R: network.getSpeciesRates(C, T), Rf: network.getFormationRates(C, T) });
+
+            y = this.integrate(getDeriv, y, V, V + dV, (c) => c.map(v => Math.max(v, 0)));
+            V += dV;
+        }
+
+        return data;
+    }
+
+    // 1b. Reaction Network CSTR (all species)
+    solveNetworkCSTR(V, v0, C0, network, T) {
+        // Balance: 0 = (C0_i - C_i) / tau + R_i(C)
+        const sp = network.species;
+        const tau = V / v0;
+        const toObj = (y) => {
+            const C = {};
+            sp.forEach((s, i) => C[s] = Math.max(y[i], 0));
+            return C;
+        };
+        const residual = (y) => {
+            const R = network.getSpeciesRates(toObj(y), T);
+            return sp.map((s, i) => (C0[s] || 0) - y[i] + tau * R[s]);
+        };
+        const norm = (r) => Math.sqrt(r.reduce((a, b) => a + b * b, 0));
+
+        // Newton with a finite-difference Jacobian and backtracking
+        const newton = (y) => {
+            for (let iter = 0; iter < 50; iter++) {
+                const F = residual(y);
+                if (norm(F) < 1e-10) return { y, ok: true };
+
+                const J = sp.map(() => new Array(sp.length).fill(0));
+                sp.forEach((s, j) => {
+                    const h = 1e-7 * Math.max(Math.abs(y[j]), 1e-3);
+                    const yp = y.slice();
+                    yp[j] += h;
+                    const Fp = residual(yp);
+                    sp.forEach((s2, i) => J[i][j] = (Fp[i] - F[i]) / h);
+                });
+
+                const step = solveLinear(J, F.map(v => -v));
+                if (!step) break;
+
+                // Keep concentrations non-negative and the residual falling
+                let lambda = 1;
+                const f0 = norm(F);
+                while (lambda > 1e-4) {
+                    const yn = y.map((v, i) => Math.max(v + lambda * step[i], 0));
+                    if (norm(residual(yn)) < f0) { y = yn; break; }
+                    lambda /= 2;
+                }
+                if (lambda <= 1e-4) break;
+            }
+            return { y, ok: norm(residual(y)) < 1e-8 };
+        };
+
+        let y = sp.map(s => C0[s] || 0);
+        let sol = newton(y);
+
+        if (!sol.ok) {
+            // Fallback: pseudo-transient dC/dt = residual / tau for ~10 residence times
+            const nPT = 10 * this.steps;
+            const dt = 10 * tau / nPT;
+            for (let i = 0; i < nPT; i++) {
+                y = this.rk4Step((c) => residual(c).map(r => r / tau), y, dt).map(v => Math.max(v, 0));
+            }
+            sol = newton(y);
+        }
+        y = sol.y;
+
+        const C = toObj(y);
+        return { V: V, tau: tau, C: C, R: network.getSpeciesRates(C, T), Rf: network.getFormationRates(C, T) };
+    }
+
+    // Selectivity & Yield of desired D over undesired U, from key reactant
+    // undesired may be one species or a list (summed); Rf: formation rates (not net, which
+    // turn negative once an intermediate is consumed faster than it forms)
+    networkPerformance(C0, C, Rf, key, desired, undesired) {
+        const U = [].concat(undesired);
+        const formedD = C[desired] - (C0[desired] || 0);
+        const formedU = U.reduce((a, s) => a + C[s] - (C0[s] || 0), 0);
+        const rateU = U.reduce((a, s) => a + Rf[s], 0);
+        const consumed = (C0[key] || 0) - C[key];
+        return {
+            X: consumed / C0[key],
+            S_inst: rateU > 0 ? Rf[desired] / rateU : NaN, // r_D / r_U formation at outlet
+            S_overall: formedU > 0 ? formedD / formedU : NaN, // F_D / F_U
+            Y: formedD / consumed,              // per mol key consumed
+            Y_fed: formedD / C0[key]            // per mol key fed
+        };
+    }
+
+    // Golden-section search for the maximum of f on [a, b]
+    goldenMax(f, a, b) {
+        const g = (Math.sqrt(5) - 1) / 2;
+        for (let i = 0; i < 40; i++) {
+            const t1 = b - g * (b - a);
+            const t2 = a + g * (b - a);
+            if (f(t1) > f(t2)) b = t2;
+            else a = t1;
+        }
+        return (a + b) / 2;
+    }
+
+    // Residence time maximising the intermediate in a PFR and a CSTR
+    optimumResidenceTime(v0, C0, network, T, desired, tauMax) {
+        // PFR: single pass out to tauMax brackets the peak, then refine
+        const pfr = this.solveNetworkPFR(tauMax * v0, v0, C0, network, T);
+        let iBest = 0;
+        pfr.forEach((d, i) => { if (d.C[desired] > pfr[iBest].C[desired]) iBest = i; });
+        const cPFR = (tau) => this.solveNetworkPFR(tau * v0, v0, C0, network, T)[this.steps].C[desired];
+        const tauPFR = this.goldenMax(cPFR,
+            pfr[Math.max(iBest - 1, 0)].tau, pfr[Math.min(iBest + 1, this.steps)].tau);
+
+        // CSTR: log scan brackets the peak, then refine
+        const cCSTR = (tau) => this.solveNetworkCSTR(tau * v0, v0, C0, network, T).C[desired];
+        const nScan = 30;
+        const tauMin = tauMax * 1e-3;
+        const ratio = Math.pow(tauMax / tauMin, 1 / nScan);
+        let tBest = tauMin, cBest = -Infinity;
+        for (let i = 0; i <= nScan; i++) {
+            const t = tauMin * Math.pow(ratio, i);
+            const c = cCSTR(t);
+            if (c > cBest) { cBest = c; tBest = t; }
+        }
+        const tauCSTR = this.goldenMax(cCSTR, tBest / ratio, Math.min(tBest * ratio, tauMax));
+
+        return {
+            pfr: { tau: tauPFR, C: cPFR(tauPFR) },
+            cstr: { tau: tauCSTR, C: cCSTR(tauCSTR) }
+        };
+    }
+
+    // Equilibrium conversion vs temperature
+    equilibriumCurve(kinetics, T_min, T_max, nPts = 50) {
+        const pts = [];
+        for (let i = 0; i <= nPts; i++) {
+            const T = T_min + (T_max - T_min) * i / nPts;
+            pts.push({ T: T, X_eq: kinetics.getEquilibriumConversion(T) });
+        }
+        return pts;
+    }
+
+    // Optimal Temperature Progression: T maximising -rA at each X
+    optimalTemperatureProgression(CA0, kinetics, T_min, T_max, nPts = 50) {
+        const pts = [];
+        const X_hi = Math.min(kinetics.getEquilibriumConversion(T_min), 0.999);
+        for (let i = 1; i < nPts; i++) {
+            const X = X_hi * i / nPts;
+            const rate = (T) => this.rateAtX(kinetics, CA0, X, T);
+            const T_opt = this.goldenMax(rate, T_min, T_max);
+            pts.push({ X: X, T: T_opt, Rate: rate(T_opt) });
+        }
+        return pts;
+    }
+
+    // Inverse: CSTR volume for a target conversion
+    sizeCSTR(X_target, v0, CA0, kinetics, T, energy, X_in = 0, gas) {
+        // V = F0 * (X - X_in) / -rA(X, T_exit)
+        // With energy the exit T follows from the balance at X:
+        // T = [v0*rhoCp*T0 + UA*Ta + (-dH)*F0*(X - X_in)] / (v0*rhoCp + UA)
+        const F0 = v0 * CA0;
+        if (gas) gas = { ...gas, T0: gas.T0 || T };
+        let T_out = T;
+        if (energy) {
+            const UA = energy.UA || 0;
+            const Ta = energy.Ta !== undefined ? energy.Ta : T;
+            T_out = (v0 * energy.rhoCp * T + UA * Ta + (-energy.dH_rxn) * F0 * (X_target - X_in)) / (v0 * energy.rhoCp + UA);
+        }
+        const rate = this.rateAtX(kinetics, CA0, X_target, T_out, gas);
+        const V = rate > 0 ? F0 * (X_target - X_in) / rate : Infinity; // Beyond equilibrium
+        return { V: V, tau: V / v0, T: T_out };
+    }
+
+    // Inverse: PFR volume for a target conversion
+    sizePFR(X_target, v0, CA0, kinetics, T, energy, X_in = 0, gas) {
+        const F0 = v0 * CA0;
+        if (gas) gas = { ...gas, T0: gas.T0 || T };
+        if (!energy && X_target >= kinetics.getEquilibriumConversion(T)) {
+            return { V: Infinity, tau: Infinity, T: T };
+        }
+
+        if (!energy || !energy.UA) {
+            // Isothermal or adiabatic: T is a function of X, so dV/dX = F0 / -rA(X)
+            const T_of = (x) => energy ? T + this.adiabaticRise(CA0, energy) * (x - X_in) : T;
+
+            // Adiabatic reversible: the path may hit equilibrium before X_target
+            for (let i = 1; i <= 200; i++) {
+                const x = X_in + (X_target - X_in) * i / 200;
+                if (!(this.rateAtX(kinetics, CA0, x, T_of(x), gas) > 0)) {
+                    return { V: Infinity, tau: Infinity, T: T_of(x) };
+                }
+            }
+            const dVdX = ([v], x) => {
+                const rate = this.rateAtX(kinetics, CA0, x, T_of(x), gas);
+                return [rate > 0 ? F0 / rate : Infinity];
             };
+            const V = this.integrate(dVdX, [0], X_in, X_target)[0];
+            return { V: isFinite(V) ? V : Infinity, tau: V / v0, T: T_of(X_target) };
+        }
 
-            let k1 = getDeriv(X);
-            let k2 = getDeriv(X + 0.5 * dV * k1);
-            let k3 = getDeriv(X + 0.5 * dV * k2);
-            let k4 = getDeriv(X + dV * k3);
+        // Cooled: Ua depends on V, so bisect on volume (bracket by doubling)
+        const X_of = (V) => this.solvePFR(V, v0, CA0, kinetics, T, energy, X_in, gas)[this.steps].X;
+        let lo = 0, hi = 1, guard = 0;
+        while (X_of(hi) < X_target && guard < 60) { lo = hi; hi *= 2; guard++; }
+        if (guard >= 60) return { V: Infinity, tau: Infinity, T: NaN };
+        for (let i = 0; i < 50; i++) {
+            const mid = (lo + hi) / 2;
+            if (X_of(mid) < X_target) lo = mid;
+            else hi = mid;
+        }
+        const prof = this.solvePFR(hi, v0, CA0, kinetics, T, energy, X_in, gas);
+        return { V: hi, tau: hi / v0, T: prof[this.steps].T };
+    }
 
-            let dX = (dV / 6) * (k1 + 2 * k2 + 2 * k3 + k4);
+    // Hot spot in a PFR temperature profile
+    findHotSpot(pfrData) {
+        let hot = pfrData[0];
+        pfrData.forEach(d => { if (d.T > hot.T) hot = d; });
+        return { T_max: hot.T, V: hot.V, dT: hot.T - pfrData[0].T };
+    }
 
-            // Save state
+    // 3. Batch Solver (Numerical Integration)
+    solveBatch(CA0, kinetics, T, opts = {}) {
+        // Constant-volume batch: dX/dt = -rA / CA0
+        // Time to target: t = CA0 * Integral(0..X_target) dX / -rA
+        let X_target = Number.isFinite(opts.X_target) ? opts.X_target : 0.9; // 0 is a valid target
+        const t_charge = opts.t_charge || 0;       // min
+        const t_discharge = opts.t_discharge || 0; // min
+        const t_clean = opts.t_clean || 0;         // min
+
+        const rateAt = (x) => this.rateAtX(kinetics, CA0, x, T);
+
+        // Reversible: target cannot exceed equilibrium
+        const X_eq = kinetics.getEquilibriumConversion(T);
+        let warning;
+        if (kinetics.equilibrium && X_target >= 0.99 * X_eq) {
+            warning = `Target X exceeds 99% of equilibrium (X_eq = ${X_eq.toFixed(3)}); capped.`;
+            X_target = 0.99 * X_eq;
+        }
+
+        // dt/dX = CA0 / -rA, integrated adaptively in X
+        const t_reaction = this.integrate(([t], x) => [CA0 / rateAt(x)], [0], 0, X_target)[0];
+
+        // Time profile, same shape as the PFR data with t in place of V
+        const t_end = opts.t_final || t_reaction;
+        const dt = t_end / this.steps;
+        const getDeriv = ([x]) => [rateAt(x) / CA0]; // dX/dt
+        const clampX = ([x]) => [Math.min(Math.max(x, 0), 0.9999)];
+
+        const data = [];
+        let t = 0;
+        let X = 0;
+
+        for (let i = 0; i <= this.steps; i++) {
             data.push({
-                V: V,
+                t: t,
                 X: X,
                 CA: CA0 * (1 - X),
-                Rate: kinetics.getRate(CA0 * (1 - X), T)
+                Rate: rateAt(X)
             });
 
-            // Update
-            X += dX;
-            V += dV;
+            X = this.integrate(getDeriv, [X], t, t + dt, clampX)[0];
+            t += dt;
+        }
+
+        // Cycle: charge + react + discharge + clean
+        const t_cycle = t_charge + t_reaction + t_discharge + t_clean;
 
-            if (X > 0.9999) X = 0.9999; // Cap at 100%
+        const result = {
+            data: data,
+            X_target: X_target,
+            X_eq: X_eq,
+            t_reaction: t_reaction,
+            t_cycle: t_cycle,
+            batchesPerDay: 1440 / t_cycle,
+            k: kinetics.getK(T)
+        };
+
+        if (warning) result.warning = warning;
+
+        // Sizing: V = (mol A converted per min) * t_cycle / (CA0 * X)
+        if (opts.production && X_target > 0) {
+            result.V = opts.production * t_cycle / (CA0 * X_target);
         }
 
-        return data;
+        return result;
+    }
+
+    // Semi-batch feed rate v(t) (L/min)
+    // feed.type: 'constant' { v, t_feed }, 'ramp' { v_start, v_end, t_feed },
+    //            'piecewise' { points: [[t, v], ...] } (v held until the next point)
+    feedRate(feed, t) {
+        if (feed.type === 'piecewise') {
+            let v = 0;
+            feed.points.forEach(([ti, vi]) => { if (t >= ti) v = vi; });
+            return v;
+        }
+        if (t >= feed.t_feed) return 0;
+        if (feed.type === 'ramp') return feed.v_start + (feed.v_end - feed.v_start) * t / feed.t_feed;
+        return feed.v;
+    }
+
+    // 5. Semi-Batch Solver: A fed into an initial charge (co-reactant R, if any)
+    // dNA/dt = v*CA_feed - (-rA)*V,  dNB/dt = (-rA)*V,  dNR/dt = -(-rA)*V,  dV/dt = v
+    // Non-isothermal: V*rhoCp*dT/dt = v*rhoCp*(T_feed - T) + (-dH)*(-rA)*V - UA*(T - Ta)
+    // charge = { V0, CA0, CR0 }, feed = { CA, type, ... }
+    // energy = { dH_rxn, rhoCp, UA, Ta, isothermal }: isothermal holds T and reports the duty
+    solveSemiBatch(charge, feed, kinetics, T, t_final, energy) {
+        const nonIso = energy && !energy.isothermal;
+        const NA0 = (charge.CA0 || 0) * charge.V0;
+
+        const rateOf = ([NA, NB, NR, V, temp]) =>
+            kinetics.getRate(Math.max(NA, 0) / V, temp, Math.max(NB, 0) / V, Math.max(NR, 0) / V);
+
+        const getDeriv = (y, t) => {
+            const v = this.feedRate(feed, t);
+            const [, , , V, temp] = y;
+            const rV = rateOf(y) * V; // mol/min
+            const dT = nonIso ? (v * energy.rhoCp * (T - temp) + (-energy.dH_rxn) * rV -
+                energy.UA * (temp - energy.Ta)) / (V * energy.rhoCp) : 0;
+            return [v * feed.CA - rV, rV, -rV, v, dT];
+        };
+        const clamp = ([NA, NB, NR, V, temp]) => [Math.max(NA, 0), Math.max(NB, 0), Math.max(NR, 0), V, temp];
+
+        // Output grid, with feed breakpoints added so discontinuities land on a step edge
+        const breaks = feed.type === 'piecewise' ? feed.points.map(p => p[0]) : [feed.t_feed];
+        const times = Array.from({ length: this.steps + 1 }, (_, i) => t_final * i / this.steps)
+            .concat(breaks.filter(b => b > 0 && b < t_final))
+            .sort((a, b) => a - b)
+            .filter((t, i, arr) => i === 0 || t - arr[i - 1] > 1e-9);
+
+        const data = [];
+        let y = [NA0, 0, (charge.CR0 || 0) * charge.V0, charge.V0, T];
+        let fedA = NA0;
+        let peak = { Q: 0, t: 0 };
+
+        times.forEach((t, i) => {
+            if (i > 0) {
+                // Moles of A fed over the interval (trapezoid on v; exact for constant and ramp)
+                const dt = t - times[i - 1];
+                fedA += feed.CA * dt * 0.5 * (this.feedRate(feed, times[i - 1]) + this.feedRate(feed, t - 1e-12));
+                y = this.integrate(getDeriv, y, times[i - 1], t, clamp);
+            }
+            const [NA, NB, NR, V, temp] = y;
+            const rate = rateOf(y);
+            const Q_gen = (energy ? -energy.dH_rxn : 0) * rate * V; // J/min
+            const Q_removed = !energy ? 0 : (nonIso ? energy.UA * (temp - energy.Ta) : Q_gen);
+            if (Q_gen > peak.Q) peak = { Q: Q_gen, t: t };
+
+            data.push({
+                t: t,
+                V: V,
+                CA: NA / V,
+                CB: NB / V,
+                CR: NR / V,
+                X: fedA > 0 ? NB / fedA : 0,
+                Rate: rate,
+                T: temp,
+                v: this.feedRate(feed, t),
+                Q_gen: Q_gen,
+                Q_removed: Q_removed
+            });
+        });
+
+        const result = {
+            data: data,
+            peakQ: peak.Q,
+            t_peak: peak.t,
+            A_fed: fedA,
+            X: data[data.length - 1].X
+        };
+
+        // Cooling capacity: jacket duty at the highest reactor temperature reached
+        if (energy && energy.UA > 0) {
+            const T_max = Math.max(...data.map(d => d.T));
+            result.T_max = T_max;
+            result.Q_cool_max = energy.UA * (T_max - energy.Ta);
+            if (peak.Q > result.Q_cool_max) {
+                result.warning = `Peak heat release ${(peak.Q / 1000).toFixed(1)} kJ/min exceeds cooling capacity ` +
+                    `${(result.Q_cool_max / 1000).toFixed(1)} kJ/min; slow the feed.`;
+            }
+        } else if (nonIso) {
+            result.T_max = Math.max(...data.map(d => d.T));
+        }
+
+        return result;
+    }
+}
+
+class KineticFitter {
+    // Regresses power-law kinetics -rA = k*CA^n, k = A*exp(-Ea/RT), from lab data.
+    // Batch data: [{ T, t: [...], CA: [...] }, ...] (one set per temperature)
+    // Rate data:  [{ T, CA, rate }, ...]
+    constructor() {
+        this.R = 8.314;
+    }
+
+    // Integrated power law for a batch: CA(t)
+    predictCA(CA0, k, n, t) {
+        if (Math.abs(n - 1) < 1e-6) return CA0 * Math.exp(-k * t);
+        const base = Math.pow(CA0, 1 - n) + (n - 1) * k * t;
+        return base > 0 ? Math.pow(base, 1 / (1 - n)) : 0;
+    }
+
+    residuals(set, k, n) {
+        return set.t.map((t, i) => {
+            const pred = this.predictCA(set.CA[0], k, n, t);
+            return { t: t, CA: set.CA[i], CA_pred: pred, resid: set.CA[i] - pred };
+        });
+    }
+
+    // Differential method: ln(-dCA/dt) = ln k + n ln CA  (n_fixed: regress ln k only)
+    fitDifferential(set, n_fixed) {
+        const { t, CA } = set;
+        const m = t.length;
+        const rows = [], y = [];
+        for (let i = 0; i < m; i++) {
+            // Central differences inside, one-sided at the ends
+            const a = Math.max(i - 1, 0), b = Math.min(i + 1, m - 1);
+            const rate = -(CA[b] - CA[a]) / (t[b] - t[a]);
+            if (rate > 0 && CA[i] > 0) {
+                if (n_fixed === undefined) {
+                    rows.push([1, Math.log(CA[i])]);
+                    y.push(Math.log(rate));
+                } else {
+                    rows.push([1]);
+                    y.push(Math.log(rate) - n_fixed * Math.log(CA[i]));
+                }
+            }
+        }
+        const reg = linearRegression(rows, y);
+        if (!reg) return null;
+
+        const k = Math.exp(reg.beta[0]);
+        const n = n_fixed === undefined ? reg.beta[1] : n_fixed;
+        return {
+            method: 'differential',
+            T: set.T, k: k, n: n,
+            k_ci: [Math.exp(reg.beta[0] - reg.ci[0]), Math.exp(reg.beta[0] + reg.ci[0])],
+            n_ci: n_fixed === undefined ? reg.ci[1] : 0,
+            R2: reg.R2,
+            residuals: this.residuals(set, k, n)
+        };
+    }
+
+    // Integral method: linearised integrated form for a trial order, best R^2 wins
+    fitIntegral(set, orders = [0, 0.5, 1, 1.5, 2, 2.5, 3]) {
+        const { t, CA } = set;
+        const CA0 = CA[0];
+        let best = null;
+
+        orders.forEach(n => {
+            // n = 1: ln(CA0/CA) = k t ;  else: (CA^(1-n) - CA0^(1-n)) / (n-1) = k t
+            const g = CA.map(c => Math.abs(n - 1) < 1e-6
+                ? Math.log(CA0 / c)
+                : (Math.pow(c, 1 - n) - Math.pow(CA0, 1 - n)) / (n - 1));
+            const reg = linearRegression(t.map(v => [v]), g);
+            if (!reg || !(reg.beta[0] > 0)) return;
+
+            const k = reg.beta[0];
+            const fit = {
+                method: 'integral',
+                T: set.T, k: k, n: n,
+                k_ci: [k - reg.ci[0], k + reg.ci[0]],
+                n_ci: 0, // Order is a discrete trial, not regressed
+                R2: reg.R2,
+                residuals: this.residuals(set, k, n)
+            };
+            if (!best || fit.R2 > best.R2) best = fit;
+        });
+
+        return best;
+    }
+
+    // Nonlinear least squares on CA(t): Levenberg-Marquardt in (ln k, n)  (n_fixed: in ln k only)
+    fitNonlinear(set, guess, n_fixed) {
+        if (!(set.CA[set.CA.length - 1] < set.CA[0])) return null; // No consumption to fit
+        const fixN = n_fixed !== undefined;
+        const start = guess || this.fitDifferential(set, n_fixed) || { k: 0.1, n: 1 };
+        let p = [Math.log(Math.max(start.k, 1e-12)), fixN ? n_fixed : Math.min(Math.max(start.n, 0), 4)];
+        const data = set.t.map((t, i) => ({ t: t, CA: set.CA[i] }));
+        const CA0 = set.CA[0];
+        const model = (q) => data.map(d => this.predictCA(CA0, Math.exp(q[0]), q[1], d.t));
+        const sse = (q) => model(q).reduce((a, c, i) => a + (data[i].CA - c) ** 2, 0);
+
+        let lambda = 1e-3;
+        let J = null;
+        for (let iter = 0; iter < 200; iter++) {
+            const f0 = model(p);
+            const r = data.map((d, i) => d.CA - f0[i]);
+            J = f0.map(() => [0, 0]);
+            [0, 1].forEach(j => {
+                const h = 1e-6 * Math.max(Math.abs(p[j]), 1);
+                const q = p.slice();
+                q[j] += h;
+                const f1 = model(q);
+                f1.forEach((v, i) => J[i][j] = (v - f0[i]) / h);
+            });
+
+            // Fixed order: decouple n and give it a zero step
+            const JtJ = [0, 1].map(a => [0, 1].map(b => fixN && (a === 1 || b === 1)
+                ? (a === b ? 1 : 0)
+                : J.reduce((s, row) => s + row[a] * row[b], 0)));
+            const Jtr = [0, 1].map(a => fixN && a === 1 ? 0 : J.reduce((s, row, i) => s + row[a] * r[i], 0));
+            const S0 = sse(p);
+
+            let improved = false;
+            while (lambda < 1e10) {
+                const M = JtJ.map((row, a) => row.map((v, b) => v + (a === b ? lambda * v + 1e-12 : 0)));
+                const dp = solveLinear(M, Jtr);
+                if (!dp) { lambda *= 10; continue; }
+                const q = [p[0] + dp[0], p[1] + dp[1]];
+                if (sse(q) < S0) {
+                    p = q;
+                    lambda = Math.max(lambda / 10, 1e-12);
+                    improved = Math.abs(S0 - sse(q)) > 1e-14 * (1 + S0);
+                    break;
+                }
+                lambda *= 10;
+            }
+            if (!improved) break;
+        }
+
+        // Covariance = s^2 (J'J)^-1 at the optimum
+        const m = data.length;
+        const dof = m - (fixN ? 1 : 2);
+        const s2 = dof > 0 ? sse(p) / dof : 0;
+        const JtJ = [0, 1].map(a => [0, 1].map(b => J.reduce((s, row) => s + row[a] * row[b], 0)));
+        if (fixN) JtJ[0][1] = JtJ[1][0] = 0;
+        const se = [0, 1].map(j => {
+            if (fixN && j === 1) return 0;
+            const col = solveLinear(JtJ, [0, 1].map(i => (i === j ? 1 : 0)));
+            return col ? Math.sqrt(Math.max(s2 * col[j], 0)) : Infinity;
+        });
+        const tq = tQuantile975(dof);
+        const ybar = set.CA.reduce((a, v) => a + v, 0) / m;
+        const SST = set.CA.reduce((a, v) => a + (v - ybar) ** 2, 0);
+
+        const k = Math.exp(p[0]);
+        return {
+            method: 'nonlinear',
+            T: set.T, k: k, n: p[1],
+            k_ci: [Math.exp(p[0] - tq * se[0]), Math.exp(p[0] + tq * se[0])],
+            n_ci: tq * se[1],
+            R2: SST > 0 ? 1 - sse(p) / SST : 1,
+            residuals: this.residuals(set, k, p[1])
+        };
+    }
+
+    // Arrhenius: ln k = ln A - Ea/(R T)
+    fitArrhenius(points) {
+        points = points.filter(p => p.k > 0);
+        if (!points.length) return { error: "No positive rate constants to regress" };
+        if (points.length < 2) {
+            const p = points[0];
+            return { A: p.k, Ea: 0, A_ci: null, Ea_ci: null, R2: 1 };
+        }
+        const reg = linearRegression(points.map(p => [1, -1 / (this.R * p.T)]), points.map(p => Math.log(p.k)));
+        if (!reg) return { error: "Arrhenius regression is singular (repeated temperatures?)" };
+        return {
+            A: Math.exp(reg.beta[0]),
+            Ea: reg.beta[1],
+            A_ci: reg.dof > 0 ? [Math.exp(reg.beta[0] - reg.ci[0]), Math.exp(reg.beta[0] + reg.ci[0])] : null,
+            Ea_ci: reg.dof > 0 ? reg.ci[1] : null,
+            R2: reg.R2
+        };
+    }
+
+    // Batch sets at one or more temperatures -> per-T fits, common n, then A & Ea
+    fitBatchData(sets, method = 'nonlinear') {
+        // n undefined: fit k and n; otherwise refit k only, with the common order fixed, by the same method
+        const fitOne = (set, n) => {
+            if (method === 'differential') return this.fitDifferential(set, n);
+            if (method === 'integral') return this.fitIntegral(set, n === undefined ? undefined : [n]);
+            return this.fitNonlinear(set, undefined, n);
+        };
+
+        // Sets that cannot be fitted (e.g. CA not falling) are dropped
+        const fitted = sets.map(set => ({ set: set, fit: fitOne(set) })).filter(p => p.fit);
+        if (!fitted.length) return { error: "No temperature set could be fitted; CA must fall with time" };
+        const perT = fitted.map(p => p.fit);
+        const n = perT.reduce((a, f) => a + f.n, 0) / perT.length;
+        const fixed = fitted.map(p => fitOne(p.set, n)).filter(Boolean);
+        if (!fixed.length) return { error: `No positive rate constant with the common order n = ${n.toFixed(2)}` };
+        const arr = this.fitArrhenius(fixed.map(f => ({ T: f.T, k: f.k })));
+        if (arr.error) return arr;
+
+        return {
+            method: method,
+            perT: perT,
+            n: n,
+            k_common: fixed,
+            A: arr.A, Ea: arr.Ea, A_ci: arr.A_ci, Ea_ci: arr.Ea_ci, R2_arrhenius: arr.R2,
+            kinetics: new Kinetics(arr.A, arr.Ea, n)
+        };
+    }
+
+    // Rate data: ln r = ln A - Ea/(R T) + n ln CA, one multilinear regression
+    // (isothermal data: ln r = ln k + n ln CA, reported as A = k, Ea = 0)
+    fitRateData(points) {
+        points = points.filter(p => p.rate > 0 && p.CA > 0);
+        const isothermal = new Set(points.map(p => p.T)).size < 2;
+        const reg = linearRegression(
+            points.map(p => isothermal ? [1, Math.log(p.CA)] : [1, -1 / (this.R * p.T), Math.log(p.CA)]),
+            points.map(p => Math.log(p.rate)));
+        if (!reg) return { error: "Rate regression is singular; vary CA (and T) across the points" };
+
+        const iN = isothermal ? 1 : 2;
+        const A = Math.exp(reg.beta[0]), Ea = isothermal ? 0 : reg.beta[1], n = reg.beta[iN];
+        const kin = new Kinetics(A, Ea, n);
+        return {
+            method: 'rate',
+            n: n, n_ci: reg.ci[iN],
+            A: A, Ea: Ea,
+            A_ci: [Math.exp(reg.beta[0] - reg.ci[0]), Math.exp(reg.beta[0] + reg.ci[0])],
+            Ea_ci: isothermal ? null : reg.ci[1],
+            R2: reg.R2,
+            residuals: points.map(p => ({ T: p.T, CA: p.CA, rate: p.rate, rate_pred: kin.getRate(p.CA, p.T), resid: p.rate - kin.getRate(p.CA, p.T) })),
+            kinetics: kin
+        };
+    }
+}
+
+class RTDAnalysis {
+    // Residence Time Distribution from tracer data.
+    // t: sample times, C: outlet tracer concentration
+    // type: 'pulse' (E = C / Integral C dt) or 'step' (F = C / C_plateau, E = dF/dt)
+    constructor(t, C, type = 'pulse') {
+        this.t = t;
+        this.C = C;
+        this.type = type;
+        this.solver = new ReactorSolver();
+
+        this.computeE();
+        this.computeMoments();
+    }
+
+    trapz(y) {
+        let sum = 0;
+        for (let i = 1; i < this.t.length; i++) {
+            sum += 0.5 * (y[i] + y[i - 1]) * (this.t[i] - this.t[i - 1]);
+        }
+        return sum;
+    }
+
+    computeE() {
+        const { t, C } = this;
+        if (this.type === 'step') {
+            // Plateau rather than the last sample, which may have dropped back to 0
+            const C_plateau = Math.max(...C);
+            if (!(C_plateau > 0)) {
+                // No tracer response: zero E, so the moments come out 0
+                this.F = C.map(() => 0);
+                this.E = C.map(() => 0);
+                return;
+            }
+            this.F = C.map(c => Math.min(c / C_plateau, 1));
+            this.E = t.map((_, i) => {
+                const a = Math.max(i - 1, 0), b = Math.min(i + 1, t.length - 1);
+                return Math.max((this.F[b] - this.F[a]) / (t[b] - t[a]), 0);
+            });
+            // Renormalise so Integral E dt = 1 (flat F, e.g. already at the plateau: E stays 0)
+            const area = this.trapz(this.E);
+            if (area > 0) this.E = this.E.map(e => e / area);
+        } else {
+            const area = this.trapz(C);
+            this.E = C.map(c => c / area);
+            let cum = 0;
+            this.F = t.map((_, i) => {
+                if (i > 0) cum += 0.5 * (this.E[i] + this.E[i - 1]) * (t[i] - t[i - 1]);
+                return cum;
+            });
+        }
+    }
+
+    computeMoments() {
+        // tm = Integral t E dt,  sigma^2 = Integral (t - tm)^2 E dt
+        this.tm = this.trapz(this.t.map((t, i) => t * this.E[i]));
+        this.variance = this.trapz(this.t.map((t, i) => (t - this.tm) ** 2 * this.E[i]));
+        this.sigma2_theta = this.variance / (this.tm * this.tm);
+    }
+
+    // Tanks-in-series: N = tm^2 / sigma^2
+    fitTanksInSeries() {
+        const N = 1 / this.sigma2_theta;
+        return { N: N, N_int: Math.max(1, Math.round(N)) };
+    }
+
+    // E(t) of N tanks in series (N may be non-integer)
+    tanksInSeriesE(t, N) {
+        // E = N^N t^(N-1) / (Gamma(N) tm^N) * exp(-N t / tm)
+        const logE = N * Math.log(N) + (N - 1) * Math.log(Math.max(t, 1e-300)) -
+            this.logGamma(N) - N * Math.log(this.tm) - N * t / this.tm;
+        return t > 0 ? Math.exp(logE) : (N === 1 ? 1 / this.tm : 0);
+    }
+
+    logGamma(x) {
+        // Lanczos approximation (g = 7)
+        const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+            -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+        if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - this.logGamma(1 - x);
+        x -= 1;
+        let a = c[0];
+        const tt = x + 7.5;
+        for (let i = 1; i < 9; i++) a += c[i] / (x + i);
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(tt) - tt + Math.log(a);
+    }
+
+    // Axial dispersion, closed-closed vessel:
+    // sigma^2 / tm^2 = 2/Pe - 2/Pe^2 * (1 - exp(-Pe))
+    fitDispersion() {
+        const s2 = this.sigma2_theta;
+        const g = (Pe) => 2 / Pe - 2 / (Pe * Pe) * (1 - Math.exp(-Pe)) - s2;
+        if (s2 >= 1) return { Pe: 0, D_uL: Infinity }; // At or beyond a CSTR
+
+        // g decreases monotonically in Pe; bisect on log(Pe)
+        let lo = 1e-6, hi = 1e6;
+        for (let i = 0; i < 100; i++) {
+            const mid = Math.sqrt(lo * hi);
+            if (g(mid) > 0) lo = mid;
+            else hi = mid;
+        }
+        const Pe = Math.sqrt(lo * hi);
+        return { Pe: Pe, D_uL: 1 / Pe };
+    }
+
+    // Dead volume and bypassing against the nominal space time tau = V / v0
+    diagnose(tau) {
+        const tis = this.fitTanksInSeries();
+        const dead = Math.max(0, 1 - this.tm / tau);
+
+        // Tracer out before 0.2*tm in excess of the fitted model suggests bypassing
+        const tCut = 0.2 * this.tm;
+        const idx = this.t.findIndex(t => t >= tCut);
+        let early = 0;
+        if (idx > 0) {
+            const w = (tCut - this.t[idx - 1]) / (this.t[idx] - this.t[idx - 1]);
+            early = this.F[idx - 1] + w * (this.F[idx] - this.F[idx - 1]);
+        }
+        let expected = 0;
+        const n = 200;
+        for (let i = 0; i < n; i++) {
+            const ta = tCut * i / n, tb = tCut * (i + 1) / n;
+            expected += 0.5 * (this.tanksInSeriesE(ta, tis.N) + this.tanksInSeriesE(tb, tis.N)) * (tb - ta);
+        }
+
+        return {
+            tau: tau,
+            deadFraction: dead,
+            bypassFraction: Math.max(0, early - expected)
+        };
+    }
+
+    // Axial dispersion conversion: (1/Pe) psi'' - psi' - tm * (-rA) / CA0 = 0
+    // Danckwerts: psi - psi'/Pe = 1 at z = 0, psi' = 0 at z = 1. Newton on a tridiagonal FD grid.
+    dispersionConversion(kinetics, CA0, T, Pe, nNodes = 200) {
+        const h = 1 / nNodes;
+        const n = nNodes + 1;
+        const Da = (psi) => this.tm * this.solver.rateAtX(kinetics, CA0, 1 - psi, T) / CA0;
+        let psi = new Array(n).fill(1);
+
+        for (let iter = 0; iter < 50; iter++) {
+            const a = new Array(n).fill(0), b = new Array(n).fill(0), c = new Array(n).fill(0), d = new Array(n).fill(0);
+            for (let i = 0; i < n; i++) {
+                const p = Math.min(Math.max(psi[i], 0), 1);
+                const dp = 1e-7;
+                const r = Da(p);
+                const dr = (Da(Math.min(p + dp, 1)) - Da(Math.max(p - dp, 0))) / (Math.min(p + dp, 1) - Math.max(p - dp, 0));
+
+                if (i === 0) {
+                    // Ghost node from BC: psi_-1 = psi_1 - 2h*Pe*(psi_0 - 1)
+                    const res = (2 * psi[1] - 2 * psi[0] - 2 * h * Pe * (psi[0] - 1)) / (Pe * h * h) -
+                        Pe * (psi[0] - 1) - r;
+                    b[i] = (-2 - 2 * h * Pe) / (Pe * h * h) - Pe - dr;
+                    c[i] = 2 / (Pe * h * h);
+                    d[i] = -res;
+                } else if (i === n - 1) {
+                    // psi_{n} = psi_{n-2}
+                    const res = (2 * psi[i - 1] - 2 * psi[i]) / (Pe * h * h) - r;
+                    a[i] = 2 / (Pe * h * h);
+                    b[i] = -2 / (Pe * h * h) - dr;
+                    d[i] = -res;
+                } else {
+                    const res = (psi[i + 1] - 2 * psi[i] + psi[i - 1]) / (Pe * h * h) -
+                        (psi[i + 1] - psi[i - 1]) / (2 * h) - r;
+                    a[i] = 1 / (Pe * h * h) + 1 / (2 * h);
+                    b[i] = -2 / (Pe * h * h) - dr;
+                    c[i] = 1 / (Pe * h * h) - 1 / (2 * h);
+                    d[i] = -res;
+                }
+            }
+
+            // Thomas algorithm
+            for (let i = 1; i < n; i++) {
+                const m = a[i] / b[i - 1];
+                b[i] -= m * c[i - 1];
+                d[i] -= m * d[i - 1];
+            }
+            const delta = new Array(n).fill(0);
+            delta[n - 1] = d[n - 1] / b[n - 1];
+            for (let i = n - 2; i >= 0; i--) delta[i] = (d[i] - c[i] * delta[i + 1]) / b[i];
+
+            let maxStep = 0;
+            psi = psi.map((v, i) => {
+                maxStep = Math.max(maxStep, Math.abs(delta[i]));
+                return Math.min(Math.max(v + delta[i], 0), 1);
+            });
+            if (maxStep < 1e-10) break;
+        }
+
+        return 1 - psi[n - 1];
+    }
+
+    // Conversion predicted by the segregation, tanks-in-series and dispersion models
+    predictConversion(kinetics, CA0, T) {
+        // Segregation: X = Integral X_batch(t) E(t) dt
+        const f = ([x]) => [this.solver.rateAtX(kinetics, CA0, Math.min(x, 0.9999), T) / CA0];
+        const clamp = ([x]) => [Math.min(Math.max(x, 0), 0.9999)];
+        let X = 0;
+        const X_batch = this.t.map((t, i) => {
+            if (i > 0) X = this.solver.integrate(f, [X], this.t[i - 1], t, clamp)[0];
+            return X;
+        });
+        const segregation = this.trapz(X_batch.map((x, i) => x * this.E[i]));
+
+        // Tanks-in-series: N equal CSTRs sharing tm (v0 = 1, V = tm)
+        const tis = this.fitTanksInSeries();
+        const units = Array(tis.N_int).fill(0).map(() => ({ type: 'CSTR', V: this.tm / tis.N_int }));
+        const tanksInSeries = this.solver.solveTrain(units, 1, CA0, kinetics, T).X;
+
+        const disp = this.fitDispersion();
+        const dispersion = disp.Pe > 0 ? this.dispersionConversion(kinetics, CA0, T, disp.Pe) :
+            this.solver.solveCSTR(this.tm, 1, CA0, kinetics, T).X;
+
+        // Ideal references at the same mean residence time
+        const pfr = this.solver.solvePFR(this.tm, 1, CA0, kinetics, T);
+
+        return {
+            segregation: segregation,
+            tanksInSeries: tanksInSeries,
+            dispersion: dispersion,
+            idealPFR: pfr[pfr.length - 1].X,
+            idealCSTR: this.solver.solveCSTR(this.tm, 1, CA0, kinetics, T).X
+        };
     }
 }